@@ -0,0 +1,127 @@
+// Local files attached to a chat turn (side panel)
+// An attachment is { id, name, mimeType, size } plus either `data` (base64, sent to Gemini as an
+// inlineData part) or `text` (extracted here for formats Gemini does not take inline).
+// Attachments are stored on the user message, so they stay in the thread and are re-sent with
+// the history like the message text.
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENT_TEXT_CHARS = 200000;
+// Attachment payload (base64 or text) per request; Gemini refuses inline requests over 20 MB.
+// Earlier turns' files beyond it are sent by name only.
+const MAX_REQUEST_ATTACHMENT_CHARS = 15 * 1024 * 1024;
+// Inline types Gemini accepts; other images are converted to PNG first
+const INLINE_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+const TEXT_FILE_RE = /\.(txt|md|markdown|csv|tsv|json|xml|html?|log|ya?ml|js|ts|py|java|c|cpp|h|css|sql|sh)$/i;
+const ATTACHMENT_ACCEPT = '.pdf,image/*,.txt,.md,.csv,.tsv,.json,.xml,.html,.log,.yaml,.yml,text/*';
+
+function formatBytes(n) {
+  if (n >= 1048576) return `${(n / 1048576).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+function attachmentChars(attachment) {
+  return (attachment.data || attachment.text || '').length;
+}
+
+function isTextFile(file) {
+  return file.type.startsWith('text/') || /^application\/(json|xml)/.test(file.type) || TEXT_FILE_RE.test(file.name);
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function imageToPng(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// Throws with a message for the user when the file cannot be attached. Only Gemini reads PDFs;
+// pass `pdf: false` for providers that would receive nothing but the file name.
+async function readAttachment(file, { pdf = true } = {}) {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${file.name} is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`);
+  }
+  if (!pdf && file.type === 'application/pdf') {
+    throw new Error('PDFs can only be sent to Gemini. Switch the provider in Options, or attach the text as a .txt file.');
+  }
+  const base = { id: crypto.randomUUID(), name: file.name, size: file.size };
+  if (INLINE_MIME_TYPES.includes(file.type)) {
+    return { ...base, mimeType: file.type, data: await blobToBase64(file) };
+  }
+  if (file.type.startsWith('image/')) {
+    try {
+      return { ...base, mimeType: 'image/png', data: await blobToBase64(await imageToPng(file)) };
+    } catch {
+      throw new Error(`${file.name} could not be read as an image.`);
+    }
+  }
+  if (isTextFile(file)) {
+    const text = await file.text();
+    const truncated = text.length > MAX_ATTACHMENT_TEXT_CHARS;
+    return {
+      ...base,
+      mimeType: file.type || 'text/plain',
+      text: truncated ? `${text.slice(0, MAX_ATTACHMENT_TEXT_CHARS)}\n[... truncated, ${text.length - MAX_ATTACHMENT_TEXT_CHARS} more characters]` : text
+    };
+  }
+  throw new Error(`${file.name}: only PDFs, images and text files (CSV, TXT, Markdown, JSON, ...) can be attached.`);
+}
+
+// Blob URLs open under the extension's origin, so only PDFs and images keep their type; text
+// files (HTML, SVG, XML, ...) are shown as plain text rather than rendered as live documents
+function attachmentBlob(attachment) {
+  if (attachment.text != null) return new Blob([attachment.text], { type: 'text/plain;charset=utf-8' });
+  const bytes = Uint8Array.from(atob(attachment.data), c => c.charCodeAt(0));
+  const type = INLINE_MIME_TYPES.includes(attachment.mimeType) ? attachment.mimeType : 'application/octet-stream';
+  return new Blob([bytes], { type });
+}
+
+// One chip per file; clicking opens the file in a new tab. With onRemove each chip gets a ×.
+function renderAttachmentChips(container, attachments, { onRemove } = {}) {
+  container.innerHTML = '';
+  for (const attachment of attachments) {
+    const chip = document.createElement('span');
+    chip.className = 'attachment-chip';
+    chip.title = `${attachment.name} (${formatBytes(attachment.size)})`;
+    if (attachment.data && attachment.mimeType.startsWith('image/')) {
+      const img = document.createElement('img');
+      img.src = `data:${attachment.mimeType};base64,${attachment.data}`;
+      img.alt = '';
+      chip.appendChild(img);
+    } else {
+      chip.append(attachment.mimeType === 'application/pdf' ? '📄 ' : '📝 ');
+    }
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = attachment.name;
+    chip.appendChild(name);
+    chip.addEventListener('click', () => {
+      const url = URL.createObjectURL(attachmentBlob(attachment));
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    });
+    if (onRemove) {
+      const remove = document.createElement('button');
+      remove.className = 'attachment-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onRemove(attachment);
+      });
+      chip.appendChild(remove);
+    }
+    container.appendChild(chip);
+  }
+  container.hidden = !attachments.length;
+}
@@ -1,37 +1,87 @@
-// Background service worker (module)
+// Background service worker
 // Handles Gemini API calls, tool execution, and message routing
 
+// The saved prompt library (PROMPT_KEY_PREFIX, loadPrompts) is shared with the options page and side panel
+importScripts('prompts.js');
+
 const STATE = {
   apiKey: null,
+  apiBase: '',
   model: 'gemini-2.5-flash-lite',
+  provider: 'gemini',
+  providerBaseUrl: '',
+  providerApiKey: '',
+  providerModel: '',
   perSitePermissions: {},
   autoApprove: true,
+  showActionOverlay: true,
   maxToolRounds: 8,
+  dailyTokenBudget: 0,
+  modelRateLimits: {},
+  contextTokenLimit: 0,
 };
 
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.contextMenus.create({
-    id: 'ask-gemini',
-    title: 'Ask Gemini',
-    contexts: ['selection', 'page']
-  });
+  rebuildContextMenus();
 });
 
-chrome.storage.sync.get(['geminiApiKey', 'geminiModel', 'perSitePermissions', 'autoApproveTools', 'maxToolRounds'], (res) => {
+// Context menu: "Ask Gemini" plus one entry per saved prompt from prompts.js
+const PROMPT_MENU_PREFIX = 'run-prompt:';
+const MENU_CONTEXTS = ['selection', 'page'];
+
+// Rebuilds are chained so two quick library edits cannot create duplicate menu ids
+let menuRebuild = Promise.resolve();
+function rebuildContextMenus() {
+  menuRebuild = menuRebuild.then(async () => {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({ id: 'ask-gemini', title: 'Ask Gemini', contexts: MENU_CONTEXTS });
+    const prompts = await loadPrompts();
+    if (!prompts.length) return;
+    chrome.contextMenus.create({ id: 'saved-prompts', title: 'Gemini prompts', contexts: MENU_CONTEXTS });
+    for (const p of prompts) {
+      chrome.contextMenus.create({ id: PROMPT_MENU_PREFIX + p.id, parentId: 'saved-prompts', title: p.title, contexts: MENU_CONTEXTS });
+    }
+  }).catch((e) => console.warn('Could not rebuild the context menu:', e));
+  return menuRebuild;
+}
+
+chrome.storage.sync.get(['geminiApiKey', 'geminiApiBase', 'geminiModel', 'llmProvider', 'providerBaseUrl', 'providerApiKey', 'providerModel', 'perSitePermissions', 'autoApproveTools', 'showActionOverlay', 'maxToolRounds', 'dailyTokenBudget', 'modelRateLimits', 'contextTokenLimit'], (res) => {
   STATE.apiKey = res.geminiApiKey || null;
+  STATE.apiBase = res.geminiApiBase || '';
   STATE.model = res.geminiModel || 'gemini-2.5-flash-lite';
+  STATE.provider = res.llmProvider || 'gemini';
+  STATE.providerBaseUrl = res.providerBaseUrl || '';
+  STATE.providerApiKey = res.providerApiKey || '';
+  STATE.providerModel = res.providerModel || '';
   STATE.perSitePermissions = res.perSitePermissions || {};
   STATE.autoApprove = !!res.autoApproveTools;
+  STATE.showActionOverlay = res.showActionOverlay !== false;
   STATE.maxToolRounds = res.maxToolRounds || 15;
+  STATE.dailyTokenBudget = res.dailyTokenBudget || 0;
+  STATE.modelRateLimits = res.modelRateLimits || {};
+  STATE.contextTokenLimit = res.contextTokenLimit || 0;
 });
 
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'sync') {
     if (changes.geminiApiKey) STATE.apiKey = changes.geminiApiKey.newValue || null;
+    if (changes.geminiApiBase) STATE.apiBase = changes.geminiApiBase.newValue || '';
     if (changes.geminiModel) STATE.model = changes.geminiModel.newValue || 'gemini-2.5-flash-lite';
+    if (changes.llmProvider) STATE.provider = changes.llmProvider.newValue || 'gemini';
+    if (changes.providerBaseUrl) STATE.providerBaseUrl = changes.providerBaseUrl.newValue || '';
+    if (changes.providerApiKey) STATE.providerApiKey = changes.providerApiKey.newValue || '';
+    if (changes.providerModel) STATE.providerModel = changes.providerModel.newValue || '';
     if (changes.perSitePermissions) STATE.perSitePermissions = changes.perSitePermissions.newValue || {};
     if (changes.autoApproveTools) STATE.autoApprove = !!changes.autoApproveTools.newValue;
+    if (changes.showActionOverlay) STATE.showActionOverlay = changes.showActionOverlay.newValue !== false;
     if (changes.maxToolRounds) STATE.maxToolRounds = changes.maxToolRounds.newValue || 15;
+    if (changes.dailyTokenBudget) STATE.dailyTokenBudget = changes.dailyTokenBudget.newValue || 0;
+    if (changes.modelRateLimits) STATE.modelRateLimits = changes.modelRateLimits.newValue || {};
+    if (changes.contextTokenLimit) STATE.contextTokenLimit = changes.contextTokenLimit.newValue || 0;
+  }
+  // Saved prompts live in sync storage, or in local storage once sync is full
+  if ((area === 'sync' || area === 'local') && Object.keys(changes).some(k => k.startsWith(PROMPT_KEY_PREFIX))) {
+    rebuildContextMenus();
   }
 });
 
@@ -67,11 +117,182 @@ const BACKGROUND_TOOLS = new Set([
   'switchToTabByTitle',
   'searchWeb',
   'listOpenTabs',
+  'captureScreenshot',
+  'extractStructuredData',
   // Google apps creation actions are background tools (they open new tabs)
   'gdocsCreateDocument',
   'gsheetsCreateSpreadsheet'
 ]);
 
+// Running ASK_GEMINI tasks: { requestId, tabId, controller: AbortController, steps: [{ name, args, ok, durationMs, result, ... }], ... }
+const ACTIVE_TASKS = new Set();
+
+// Each ASK_GEMINI arrives on its own port from the panel that asked, so streamed text, tool
+// status and approval prompts go back to that panel only. A closed port (panel closed) stops
+// the task. Tasks in different tabs run side by side.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'ask-gemini') return;
+  let task = null;
+  port.onMessage.addListener((msg) => {
+    if (msg?.type === 'ASK_GEMINI' && !task) {
+      task = createAskTask(port, msg.requestId);
+      runAskTask(task, msg);
+    } else if (msg?.type === 'TOOL_APPROVAL_RESPONSE') {
+      task?.approvals.get(msg.id)?.(!!msg.approved);
+    } else if (msg?.type === 'STOP_TASK') {
+      task?.controller.abort();
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    if (!task) return;
+    task.closed = true;
+    task.controller.abort();
+  });
+});
+
+function createAskTask(port, requestId) {
+  const task = { requestId, tabId: null, controller: new AbortController(), steps: [], sources: [], approvals: new Map(), closed: false };
+  // Events carry the request id so the panel can ignore anything from an earlier request
+  task.emit = (msg) => {
+    if (task.closed) return;
+    try {
+      port.postMessage({ ...msg, requestId });
+    } catch {
+      task.closed = true;
+    }
+  };
+  return task;
+}
+
+async function runAskTask(task, msg) {
+  const { emit } = task;
+  const fail = (text) => {
+    emit({ type: 'STREAM_UPDATE', chunk: { text } });
+    emit({ type: 'STREAM_DONE' });
+  };
+  let tabId = msg.tabId;
+  if (!tabId) {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = activeTab?.id;
+  }
+  if (!tabId) {
+    console.error("ASK_GEMINI: Could not determine active tabId.");
+    return fail('Error: Could not determine active tab for tool execution.');
+  }
+  // Two agents driving the same page would undo each other's actions
+  if ([...ACTIVE_TASKS].some(t => t.tabId === tabId)) {
+    return fail('Another task is already running in this tab. Stop it or wait for it to finish.');
+  }
+  task.tabId = tabId;
+  ACTIVE_TASKS.add(task);
+  let result;
+  try {
+    const budgetError = await checkDailyBudget();
+    if (budgetError) return fail(budgetError);
+    const tab = await chrome.tabs.get(tabId).catch(() => undefined);
+    const origin = getOrigin(tab?.url || '*');
+    await ensureSitePermission(origin);
+    const { signal } = task.controller;
+    const payload = await withPageText(msg.payload || {}, tabId, signal);
+    result = await generateWithToolsLoop(payload, tabId, {
+      signal,
+      steps: task.steps,
+      sources: task.sources,
+      emit,
+      askApproval: (calls) => askToolApproval(task, calls),
+      // The one-task-per-tab guard and the stop shortcut follow the task to the tab it works in
+      onTabChange: (id) => { task.tabId = id; }
+    });
+  } catch (e) {
+    result = isAbortError(e) ? { stopped: true } : { error: String(e?.message || e) };
+  } finally {
+    ACTIVE_TASKS.delete(task);
+  }
+  // Answer text has already been streamed round by round; only errors remain to report
+  if (result?.stopped) {
+    emit({ type: 'STREAM_UPDATE', chunk: { text: formatStopReport(task.steps) } });
+  } else if (result?.error) {
+    emit({ type: 'STREAM_UPDATE', chunk: { text: `Error: ${result.error}` } });
+  }
+  emit({ type: 'STREAM_DONE', stopped: !!result?.stopped, trace: task.steps, sources: task.sources });
+}
+
+// Ask the task's panel to approve tool calls; no answer within 30 s counts as declined
+function askToolApproval(task, calls) {
+  return new Promise((resolve) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const done = (approved) => {
+      clearTimeout(timer);
+      task.approvals.delete(id);
+      resolve(approved);
+    };
+    const timer = setTimeout(() => done(false), 30000);
+    task.approvals.set(id, done);
+    task.emit({ type: 'REQUEST_TOOL_APPROVAL', id, calls });
+  });
+}
+
+function formatStopReport(steps) {
+  if (!steps.length) return '\n\n⏹ Stopped before any actions were taken.';
+  const lines = steps.map((s, i) => `${i + 1}. ${s.name}(${JSON.stringify(s.args || {})})${s.ok ? '' : ' — failed'}`);
+  return `\n\n⏹ Stopped. Actions completed before stopping:\n${lines.join('\n')}`;
+}
+
+// Tools without side effects on pages or tabs. Consecutive read-only calls in one model
+// turn run concurrently; everything else runs alone, in call order.
+const READ_ONLY_TOOLS = new Set([
+  'getAllContent',
+  'extractText',
+  'getLinksOnPage',
+  'getSearchResults',
+  'waitForSelector',
+  'listOpenTabs',
+  'extractStructuredData',
+  'getInteractiveElements'
+]);
+
+// Mutating page tools whose target is outlined on the page before they run (contentScript.js)
+const ACTION_OVERLAY_TOOLS = new Set([
+  'clickSelector',
+  'clickLinkByText',
+  'clickElement',
+  'fillSelector',
+  'typeIntoElement',
+  'insertText',
+  'selectOption',
+  'selectElementOption',
+  'pressKey'
+]);
+// How long the overlay is shown before the action itself
+const ACTION_OVERLAY_MS = 600;
+
+// Returns whether an overlay was requested; frames without the target ignore it
+function showActionOverlay(tabId, calls) {
+  const shown = calls.filter(c => ACTION_OVERLAY_TOOLS.has(c.name));
+  if (!STATE.showActionOverlay || !tabId || !shown.length) return false;
+  const msg = { type: 'SHOW_ACTION_OVERLAY', calls: shown.map(c => ({ name: c.name, args: c.args })) };
+  chrome.tabs.sendMessage(tabId, msg, () => void chrome.runtime.lastError);
+  return true;
+}
+
+function hideActionOverlay(tabId) {
+  if (tabId) chrome.tabs.sendMessage(tabId, { type: 'HIDE_ACTION_OVERLAY' }, () => void chrome.runtime.lastError);
+}
+
+// Tools that address elements by index from the top frame's interactive-element map
+const ELEMENT_MAP_TOOLS = new Set(['getInteractiveElements', 'clickElement', 'typeIntoElement', 'selectElementOption']);
+
+function isReadOnlyCall(call) {
+  // Scrolling extraction moves the page, so it must not overlap other reads of the same tab
+  if (call.name === 'extractText' && call.args?.scroll) return false;
+  return READ_ONLY_TOOLS.has(call.name);
+}
+
+// Read-only tools may target another tab by id; everything else runs in the task's current tab
+function toolTabId(call, currentTabId) {
+  return isReadOnlyCall(call) && Number.isInteger(call.args?.tabId) ? call.args.tabId : currentTabId;
+}
+
 // Messaging router
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
@@ -84,36 +305,56 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         sendResponse({ ok: true });
         break;
       }
-      case 'ASK_GEMINI': {
-        let tabId = sender.tab?.id;
+      case 'EXTRACT_STRUCTURED': {
+        let tabId = msg.tabId;
         if (!tabId) {
           const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
           tabId = activeTab?.id;
         }
-        if (!tabId) {
-          console.error("ASK_GEMINI: Could not determine active tabId.");
-          chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: "Error: Could not determine active tab for tool execution." } });
-          chrome.runtime.sendMessage({ type: 'STREAM_DONE' });
-          sendResponse({ ok: false, error: "Could not determine active tabId." });
+        const budgetError = await checkDailyBudget();
+        if (!tabId || budgetError) {
+          sendResponse({ ok: false, error: budgetError || 'Could not determine active tab.' });
           break;
         }
-        const tab = sender.tab || (tabId ? await chrome.tabs.get(tabId) : undefined);
-        const origin = getOrigin(tab?.url || '*');
-        await ensureSitePermission(origin);
-        // Prefer tool-calling loop to match Claude-like behavior
-        const result = await generateWithToolsLoop(msg.payload || {}, tabId);
-        if (result?.error) {
-          chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: `Error: ${result.error}` } });
-          chrome.runtime.sendMessage({ type: 'STREAM_DONE' });
-        } else {
-          chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: result.text || '' } });
-          chrome.runtime.sendMessage({ type: 'STREAM_DONE' });
+        const task = { requestId: msg.requestId, tabId, controller: new AbortController(), steps: [] };
+        ACTIVE_TASKS.add(task);
+        let result;
+        try {
+          result = await extractStructuredData({ schema: msg.schema, instructions: msg.instructions, tabId, conversationId: msg.conversationId, signal: task.controller.signal });
+        } catch (e) {
+          result = { ok: false, error: isAbortError(e) ? 'Extraction stopped.' : String(e?.message || e) };
+        } finally {
+          ACTIVE_TASKS.delete(task);
         }
-        sendResponse({ ok: true });
+        sendResponse(result);
+        break;
+      }
+      case 'LIST_MODELS': {
+        sendResponse(await listProviderModels(msg));
+        break;
+      }
+      case 'TEST_API_KEY': {
+        sendResponse(await testProviderConnection(msg));
+        break;
+      }
+      case 'GET_USAGE': {
+        sendResponse({ ok: true, daily: await getDailyUsage(), budget: STATE.dailyTokenBudget });
+        break;
+      }
+      case 'STOP_TASK': {
+        // Only the named request; other windows' tasks must keep running
+        const tasks = msg.requestId ? [...ACTIVE_TASKS].filter(t => t.requestId === msg.requestId) : [];
+        for (const task of tasks) task.controller.abort();
+        sendResponse({ ok: true, stopped: tasks.length });
+        break;
+      }
+      case 'OPEN_SOURCE': {
+        sendResponse(await openSource(msg.url, msg.passage));
         break;
       }
       case 'EXECUTE_TOOL': {
-        const result = await executeTool(msg.tool, msg.args, sender.tab?.id);
+        // The side panel has no tab of its own and names the tab to run in
+        const result = await executeTool(msg.tool, msg.args, sender.tab?.id || msg.tabId);
         sendResponse({ ok: true, result });
         break;
       }
@@ -130,47 +371,62 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     await chrome.sidePanel.open({ tabId: tab.id });
     await chrome.sidePanel.setOptions({ tabId: tab.id, path: 'sidepanel.html' });
     chrome.runtime.sendMessage({ type: 'PREFILL_SELECTION', text: info.selectionText || '' });
+  } else if (String(info.menuItemId).startsWith(PROMPT_MENU_PREFIX) && tab?.id) {
+    await chrome.sidePanel.open({ tabId: tab.id });
+    await queuePanelAction(tab.windowId, {
+      promptId: String(info.menuItemId).slice(PROMPT_MENU_PREFIX.length),
+      values: { selection: info.selectionText || '', url: tab.url || '', title: tab.title || '' }
+    });
   }
 });
 
-// Simple Gemini REST client with streaming support
-const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
-
-async function* generateContentStream({ messages, system, tools, config }) {
-  if (!STATE.apiKey) {
-    yield { error: 'Missing API key. Set it in options.' };
-    return;
-  }
-  const model = STATE.model || 'gemini-2.0-flash';
-  const url = `${API_BASE}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(STATE.apiKey)}`;
+// Work for the side panel started from the context menu or a shortcut. A panel opened by the
+// same gesture is still loading, so the action waits in session storage until the panel of that
+// window reads it: { promptId, values } runs a saved prompt, { text, run } fills (and optionally
+// sends) the input.
+function queuePanelAction(windowId, action) {
+  return chrome.storage.session.set({ pendingAction: { ...action, windowId, at: Date.now() } });
+}
 
-  const contents = [];
-  for (const m of messages || []) {
-    contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] });
-  }
+// Simple Gemini REST client with streaming support
+const DEFAULT_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
 
-  const body = {
-    contents,
-    tools,
-    systemInstruction: system ? { role: 'user', parts: [{ text: system }] } : undefined,
-    generationConfig: config || { temperature: 0.7, topP: 0.95 },
-    safetySettings: [
-      { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
-    ]
-  };
+// The base URL can be overridden in options, e.g. to point at tools/mock-gemini-server.mjs
+function getApiBase(override) {
+  return (override || STATE.apiBase || DEFAULT_API_BASE).replace(/\/+$/, '');
+}
 
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
+function parseSseLine(line) {
+  if (!line.startsWith('data:')) return null;
+  const data = line.slice(5).trim();
+  if (!data || data === '[DONE]') return null;
+  try { return JSON.parse(data); } catch { return null; }
+}
 
-  if (!resp.ok) {
-    const text = await resp.text();
-    yield { error: `API error ${resp.status}: ${text}` };
-    return;
+// Parse a server-sent-events response body into JSON payloads
+async function* readSseJson(resp) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const lines = buf.split('\n');
+    buf = lines.pop() || '';
+    for (const line of lines) {
+      const json = parseSseLine(line);
+      if (json) yield json;
+    }
   }
+  // The last event may end at EOF without a newline; it carries finishReason and usage
+  buf += decoder.decode();
+  const json = parseSseLine(buf.trim());
+  if (json) yield json;
+}
 
+// Parse a newline-delimited JSON response body (Ollama streaming format)
+async function* readNdjson(resp) {
   const reader = resp.body.getReader();
   const decoder = new TextDecoder();
   let buf = '';
@@ -181,22 +437,575 @@ async function* generateContentStream({ messages, system, tools, config }) {
     const lines = buf.split('\n');
     buf = lines.pop() || '';
     for (const line of lines) {
-      if (!line.startsWith('data:')) continue;
-      const data = line.slice(5).trim();
-      if (data === '[DONE]') continue;
-      try {
-        const json = JSON.parse(data);
-        const text = json.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        if (text) yield { text };
-        const toolReqs = json.candidates?.[0]?.content?.parts?.filter(p => p.functionCall);
-        if (toolReqs && toolReqs.length) yield { toolCalls: toolReqs.map(p => p.functionCall) };
-      } catch {}
+      if (!line.trim()) continue;
+      let json = null;
+      try { json = JSON.parse(line); } catch {}
+      if (json) yield json;
+    }
+  }
+  if (buf.trim()) {
+    let json = null;
+    try { json = JSON.parse(buf); } catch {}
+    if (json) yield json;
+  }
+}
+
+// Error result shared by the providers; Retry-After is kept for the request scheduler
+async function failedResponse(resp) {
+  return { ok: false, status: resp.status, text: await resp.text(), retryAfter: resp.headers.get('retry-after') };
+}
+
+// Stream one Gemini generateContent round. Text deltas and function calls are
+// forwarded as they arrive; the merged result has the same shape as :generateContent.
+async function streamGeminiContent(model, body, { onText, onToolCalls, retry, signal } = {}) {
+  const url = `${getApiBase()}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(STATE.apiKey)}`;
+  const resp = await fetchWithRetry(
+    url,
+    { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal },
+    retry
+  );
+  if (!resp.ok) {
+    return failedResponse(resp);
+  }
+
+  const parts = [];
+  let finishReason;
+  let usageMetadata;
+  let modelVersion;
+  for await (const chunk of readSseJson(resp)) {
+    const cand = chunk.candidates?.[0];
+    const calls = [];
+    for (const p of cand?.content?.parts || []) {
+      const last = parts[parts.length - 1];
+      if (typeof p.text === 'string' && Object.keys(p).length === 1) {
+        // Plain text deltas are merged into a single part
+        if (last && typeof last.text === 'string' && Object.keys(last).length === 1) last.text += p.text;
+        else parts.push({ text: p.text });
+        if (p.text) onText?.(p.text);
+      } else {
+        parts.push(p);
+        if (p.functionCall) calls.push(p.functionCall);
+      }
     }
+    if (calls.length) onToolCalls?.(calls);
+    if (cand?.finishReason) finishReason = cand.finishReason;
+    if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+    if (chunk.modelVersion) modelVersion = chunk.modelVersion;
   }
+
+  return {
+    ok: true,
+    json: {
+      candidates: [{ content: { role: 'model', parts }, finishReason }],
+      usageMetadata,
+      modelVersion
+    }
+  };
 }
 
+// Other backends. History stays Gemini-shaped (contents/parts, functionCall/functionResponse)
+// throughout the tool loop; these helpers translate requests and responses at the edge.
+const PROVIDER_DEFAULTS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1' }
+};
+
+function partsToText(parts = []) {
+  return parts.filter(p => typeof p.text === 'string').map(p => p.text).join('');
+}
+
+function toChatTools(tools = []) {
+  return tools
+    .flatMap(t => t.functionDeclarations || [])
+    .map(fd => ({ type: 'function', function: { name: fd.name, description: fd.description, parameters: fd.parameters } }));
+}
+
+// Convert Gemini contents to chat messages. OpenAI pairs tool results with calls by id,
+// so model calls get stable ids and the following functionResponses reuse them in order.
+function toChatMessages({ contents = [], systemInstruction }, dialect) {
+  const messages = [];
+  const sys = partsToText(systemInstruction?.parts);
+  if (sys) messages.push({ role: 'system', content: sys });
+  let callIds = [];
+  contents.forEach((c, turn) => {
+    const parts = c.parts || [];
+    const text = partsToText(parts);
+    if (c.role === 'model') {
+      const calls = parts.filter(p => p.functionCall).map(p => p.functionCall);
+      callIds = calls.map((fc, i) => fc.id || `call_${turn}_${i}`);
+      const msg = { role: 'assistant', content: text };
+      if (calls.length) {
+        msg.tool_calls = dialect === 'ollama'
+          ? calls.map(fc => ({ function: { name: fc.name, arguments: fc.args || {} } }))
+          : calls.map((fc, i) => ({ id: callIds[i], type: 'function', function: { name: fc.name, arguments: JSON.stringify(fc.args || {}) } }));
+        if (dialect !== 'ollama' && !text) msg.content = null;
+      }
+      messages.push(msg);
+      return;
+    }
+    parts.filter(p => p.functionResponse).forEach((p, i) => {
+      const content = JSON.stringify(p.functionResponse.response ?? {});
+      messages.push(dialect === 'ollama'
+        ? { role: 'tool', tool_name: p.functionResponse.name, content }
+        : { role: 'tool', tool_call_id: callIds[i] || `call_${turn}_${i}`, content });
+    });
+    const images = parts.filter(p => p.inlineData?.mimeType?.startsWith('image/')).map(p => p.inlineData);
+    // PDFs attached while Gemini was the provider; say so rather than send only the file name
+    const skipped = parts.filter(p => p.inlineData && !p.inlineData.mimeType?.startsWith('image/')).length;
+    const note = skipped ? `\n[${skipped} attached PDF file(s) not included: this provider cannot read PDFs]` : '';
+    if (text || images.length) messages.push(toChatUserMessage(text + note, images, dialect));
+  });
+  return messages;
+}
+
+// Tool messages are text-only in both dialects, so images ride along in a user message
+function toChatUserMessage(text, images, dialect) {
+  if (!images.length) return { role: 'user', content: text };
+  if (dialect === 'ollama') {
+    return { role: 'user', content: text || 'Attached image(s).', images: images.map(img => img.data) };
+  }
+  const content = images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } }));
+  if (text) content.unshift({ type: 'text', text });
+  return { role: 'user', content };
+}
+
+// Gemini responseSchema (OpenAPI subset) back to plain JSON Schema for the other backends
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const { nullable, propertyOrdering, properties, items, anyOf, ...rest } = schema;
+  const out = { ...rest };
+  if (nullable && out.type) out.type = [out.type, 'null'];
+  if (properties) out.properties = Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, toJsonSchema(v)]));
+  if (items) out.items = toJsonSchema(items);
+  if (anyOf) out.anyOf = toJsonSchema(anyOf);
+  return out;
+}
+
+function toGeminiResponse(text, calls, finishReason, usageMetadata) {
+  const parts = [];
+  if (text) parts.push({ text });
+  for (const fc of calls) parts.push({ functionCall: fc });
+  return { candidates: [{ content: { role: 'model', parts }, finishReason }], usageMetadata };
+}
+
+async function streamChatCompletions(model, body, { onText, onToolCalls, retry, signal } = {}) {
+  const baseUrl = (STATE.providerBaseUrl || PROVIDER_DEFAULTS.openai.baseUrl).replace(/\/+$/, '');
+  const gen = body.generationConfig || {};
+  const tools = toChatTools(body.tools);
+  const payload = {
+    model,
+    messages: toChatMessages(body, 'openai'),
+    stream: true,
+    stream_options: { include_usage: true },
+    temperature: gen.temperature,
+    top_p: gen.topP,
+    max_tokens: gen.maxOutputTokens,
+    ...(tools.length ? { tools } : {})
+  };
+  if (gen.responseSchema) {
+    payload.response_format = { type: 'json_schema', json_schema: { name: 'extraction', schema: toJsonSchema(gen.responseSchema) } };
+  } else if (gen.responseMimeType === 'application/json') {
+    payload.response_format = { type: 'json_object' };
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (STATE.providerApiKey) headers.Authorization = `Bearer ${STATE.providerApiKey}`;
+  const resp = await fetchWithRetry(`${baseUrl}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(payload), signal }, retry);
+  if (!resp.ok) {
+    return failedResponse(resp);
+  }
+
+  let text = '';
+  let finishReason;
+  let usage;
+  const pending = []; // tool call fragments accumulate by index across deltas
+  for await (const chunk of readSseJson(resp)) {
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta || {};
+    if (delta.content) {
+      text += delta.content;
+      onText?.(delta.content);
+    }
+    for (const tc of delta.tool_calls || []) {
+      const idx = typeof tc.index === 'number' ? tc.index : pending.length;
+      const slot = pending[idx] || (pending[idx] = { id: '', name: '', arguments: '' });
+      if (tc.id) slot.id = tc.id;
+      if (tc.function?.name) slot.name += tc.function.name;
+      if (tc.function?.arguments) slot.arguments += tc.function.arguments;
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  const calls = pending.filter(Boolean).map(tc => ({ id: tc.id || undefined, name: tc.name, args: safelyParseJSON(tc.arguments || '{}') }));
+  if (calls.length) onToolCalls?.(calls);
+  const usageMetadata = usage
+    ? { promptTokenCount: usage.prompt_tokens, candidatesTokenCount: usage.completion_tokens, totalTokenCount: usage.total_tokens }
+    : undefined;
+  return { ok: true, json: toGeminiResponse(text, calls, finishReason, usageMetadata) };
+}
+
+async function streamOllamaChat(model, body, { onText, onToolCalls, retry, signal } = {}) {
+  const baseUrl = (STATE.providerBaseUrl || PROVIDER_DEFAULTS.ollama.baseUrl).replace(/\/+$/, '');
+  const gen = body.generationConfig || {};
+  const tools = toChatTools(body.tools);
+  const payload = {
+    model,
+    messages: toChatMessages(body, 'ollama'),
+    stream: true,
+    options: { temperature: gen.temperature, top_p: gen.topP, num_predict: gen.maxOutputTokens },
+    ...(tools.length ? { tools } : {})
+  };
+  if (gen.responseSchema) payload.format = toJsonSchema(gen.responseSchema);
+  else if (gen.responseMimeType === 'application/json') payload.format = 'json';
+  const resp = await fetchWithRetry(`${baseUrl}/api/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload), signal }, retry);
+  if (!resp.ok) {
+    return failedResponse(resp);
+  }
+
+  let text = '';
+  let finishReason;
+  let usageMetadata;
+  const calls = [];
+  for await (const chunk of readNdjson(resp)) {
+    if (chunk.error) return { ok: false, status: 500, text: String(chunk.error) };
+    const msg = chunk.message || {};
+    if (msg.content) {
+      text += msg.content;
+      onText?.(msg.content);
+    }
+    for (const tc of msg.tool_calls || []) {
+      const args = tc.function?.arguments;
+      calls.push({ name: tc.function?.name, args: typeof args === 'string' ? safelyParseJSON(args) : (args || {}) });
+    }
+    if (chunk.done) {
+      finishReason = chunk.done_reason;
+      const prompt = chunk.prompt_eval_count || 0;
+      const output = chunk.eval_count || 0;
+      usageMetadata = { promptTokenCount: prompt, candidatesTokenCount: output, totalTokenCount: prompt + output };
+    }
+  }
+
+  if (calls.length) onToolCalls?.(calls);
+  return { ok: true, json: toGeminiResponse(text, calls, finishReason, usageMetadata) };
+}
+
+const PROVIDERS = {
+  gemini: { stream: streamGeminiContent },
+  openai: { stream: streamChatCompletions },
+  ollama: { stream: streamOllamaChat }
+};
+
+function getProviderId() {
+  return PROVIDERS[STATE.provider] ? STATE.provider : 'gemini';
+}
+
+function getActiveModel() {
+  const id = getProviderId();
+  if (id === 'gemini') return STATE.model || 'gemini-2.0-flash';
+  return STATE.providerModel || PROVIDER_DEFAULTS[id].model;
+}
+
+// Models to try in order; Gemini falls back to sibling models on 500s
+function getModelFallbacks() {
+  if (getProviderId() !== 'gemini') return [getActiveModel()];
+  return Array.from(new Set([
+    getActiveModel(),
+    'gemini-2.5-flash',
+    'gemini-1.5-flash'
+  ]));
+}
+
+// Key validation and model discovery for the options page. Callers pass the unsaved form
+// values ({ provider, apiKey, baseUrl, model }); missing fields fall back to saved settings.
+
+// Map a Gemini error response to the cases users can act on
+function classifyApiError(status, bodyText) {
+  let err = {};
+  try { err = JSON.parse(bodyText)?.error || {}; } catch {}
+  const message = err.message || bodyText || `HTTP ${status}`;
+  const reasons = (err.details || []).map(d => d.reason).filter(Boolean);
+  if (reasons.includes('API_KEY_INVALID') || /api key not valid|api key expired/i.test(message)) {
+    return { kind: 'invalid_key', message: 'Invalid API key. Check that it was copied completely from Google AI Studio.' };
+  }
+  if (status === 429 || err.status === 'RESOURCE_EXHAUSTED') {
+    return { kind: 'quota', message: `Quota exceeded for this key: ${message}` };
+  }
+  if (/location is not supported|not available in your (country|region)/i.test(message)) {
+    return { kind: 'region', message: `The Gemini API is not available in your region: ${message}` };
+  }
+  if (status === 403 || err.status === 'PERMISSION_DENIED') {
+    return { kind: 'permission', message: `Permission denied (is the Generative Language API enabled for this key's project?): ${message}` };
+  }
+  return { kind: 'other', message: `API error ${status}: ${message}` };
+}
+
+// The models endpoint does not report tool support, so infer it from the model family
+function supportsFunctionCalling(id) {
+  return /^gemini-/.test(id) && !/embedding|aqa|imagen|tts|image-generation|native-audio/.test(id);
+}
+
+async function listGeminiModels(apiKey, baseUrl) {
+  const models = [];
+  let pageToken = '';
+  do {
+    const url = `${getApiBase(baseUrl)}/models?pageSize=1000&key=${encodeURIComponent(apiKey)}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`;
+    const resp = await fetch(url);
+    const text = await resp.text();
+    if (!resp.ok) return { ok: false, error: classifyApiError(resp.status, text) };
+    const json = safelyParseJSON(text);
+    for (const m of json.models || []) {
+      if (!(m.supportedGenerationMethods || []).includes('generateContent')) continue;
+      const id = String(m.name || '').replace(/^models\//, '');
+      models.push({
+        id,
+        displayName: m.displayName || id,
+        inputTokenLimit: m.inputTokenLimit || null,
+        outputTokenLimit: m.outputTokenLimit || null,
+        functionCalling: supportsFunctionCalling(id)
+      });
+    }
+    pageToken = json.nextPageToken || '';
+  } while (pageToken);
+  models.sort((a, b) => a.id.localeCompare(b.id));
+  // Cached for the rest of the extension (e.g. per-model context limits)
+  await chrome.storage.local.set({ geminiModels: models });
+  return { ok: true, models };
+}
+
+async function listProviderModels({ provider, apiKey, baseUrl } = {}) {
+  const id = provider || getProviderId();
+  try {
+    if (id === 'gemini') {
+      const key = apiKey ?? STATE.apiKey;
+      if (!key) return { ok: false, error: { kind: 'invalid_key', message: 'Enter an API key first.' } };
+      return await listGeminiModels(key, baseUrl);
+    }
+    const base = (baseUrl || STATE.providerBaseUrl || PROVIDER_DEFAULTS[id].baseUrl).replace(/\/+$/, '');
+    const headers = {};
+    const key = apiKey ?? STATE.providerApiKey;
+    if (id === 'openai' && key) headers.Authorization = `Bearer ${key}`;
+    const resp = await fetch(id === 'ollama' ? `${base}/api/tags` : `${base}/models`, { headers });
+    const text = await resp.text();
+    if (!resp.ok) {
+      const kind = resp.status === 401 ? 'invalid_key' : resp.status === 429 ? 'quota' : 'other';
+      return { ok: false, error: { kind, message: `API error ${resp.status}: ${text.slice(0, 300)}` } };
+    }
+    const json = safelyParseJSON(text);
+    const names = id === 'ollama' ? (json.models || []).map(m => m.name) : (json.data || []).map(m => m.id);
+    return { ok: true, models: names.filter(Boolean).sort().map(name => ({ id: name, displayName: name })) };
+  } catch (e) {
+    return { ok: false, error: { kind: 'network', message: `Could not reach the server: ${String(e?.message || e)}` } };
+  }
+}
+
+// List models (validates the key), then make a one-token request so quota and
+// region restrictions surface too
+async function testProviderConnection({ provider, apiKey, baseUrl, model } = {}) {
+  const id = provider || getProviderId();
+  const listed = await listProviderModels({ provider: id, apiKey, baseUrl });
+  if (!listed.ok) return listed;
+  if (id !== 'gemini') {
+    return { ok: true, message: `Connected: ${listed.models.length} models available.`, models: listed.models };
+  }
+  const target = model || STATE.model;
+  try {
+    const url = `${getApiBase(baseUrl)}/models/${encodeURIComponent(target)}:generateContent?key=${encodeURIComponent(apiKey ?? STATE.apiKey)}`;
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents: [{ role: 'user', parts: [{ text: 'ping' }] }], generationConfig: { maxOutputTokens: 1 } })
+    });
+    if (!resp.ok) return { ok: false, error: classifyApiError(resp.status, await resp.text()), models: listed.models };
+  } catch (e) {
+    return { ok: false, error: { kind: 'network', message: `Could not reach the Gemini API: ${String(e?.message || e)}` } };
+  }
+  return { ok: true, message: `API key works: ${listed.models.length} models available, ${target} responded.`, models: listed.models };
+}
+
+// Central request scheduler. Every model call (tool-loop rounds, forced final answers,
+// history summaries) queues here, so per-model RPM limits and 429 back-off apply to all of them.
+const MAX_CONCURRENT_PER_MODEL = 2;
+const MAX_QUOTA_RETRIES = 3;
+const MAX_QUOTA_WAIT_MS = 120000;
+const MODEL_QUEUES = new Map();
+
+function getModelQueue(model) {
+  if (!MODEL_QUEUES.has(model)) MODEL_QUEUES.set(model, { active: 0, waiting: [], starts: [], blockedUntil: 0 });
+  return MODEL_QUEUES.get(model);
+}
+
+// Requests per minute from settings; '*' applies to models without their own entry
+function getRateLimit(model) {
+  const limits = STATE.modelRateLimits || {};
+  return limits[model] || limits['*'] || 0;
+}
+
+// Milliseconds until the model may start another request under its RPM limit and any 429 block
+function msUntilAvailable(queue, model) {
+  const now = Date.now();
+  queue.starts = queue.starts.filter(t => now - t < 60000);
+  let wait = Math.max(0, queue.blockedUntil - now);
+  const rpm = getRateLimit(model);
+  if (rpm && queue.starts.length >= rpm) wait = Math.max(wait, queue.starts[0] + 60000 - now);
+  return wait;
+}
+
+// FIFO slot per model; an aborted waiter leaves the queue without taking a slot
+function acquireModelSlot(queue, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (queue.active < MAX_CONCURRENT_PER_MODEL && !queue.waiting.length) {
+    queue.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      queue.waiting.splice(queue.waiting.indexOf(entry), 1);
+      reject(abortError());
+    };
+    const entry = () => {
+      signal?.removeEventListener('abort', onAbort);
+      queue.active++;
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.waiting.push(entry);
+  });
+}
+
+function releaseModelSlot(queue) {
+  queue.active--;
+  queue.waiting.shift()?.();
+}
+
+// Retry hint from a 429: RetryInfo.retryDelay in the Gemini error body, else the Retry-After header
+function parseRetryDelayMs(res) {
+  const details = safelyParseJSON(res.text || '')?.error?.details || [];
+  const info = details.find(d => String(d['@type'] || '').endsWith('RetryInfo'));
+  const secs = parseFloat(info?.retryDelay);
+  if (!isNaN(secs)) return Math.ceil(secs * 1000);
+  const header = parseFloat(res.retryAfter);
+  if (!isNaN(header)) return Math.ceil(header * 1000);
+  return null;
+}
+
+async function scheduleModelRequest(model, run, { signal, onWait } = {}) {
+  const queue = getModelQueue(model);
+  await acquireModelSlot(queue, signal);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let wait;
+      while ((wait = msUntilAvailable(queue, model)) > 0) {
+        onWait?.(Math.ceil(wait / 1000));
+        await raceAbort(new Promise(resolve => setTimeout(resolve, Math.min(wait, 1000))), signal);
+      }
+      queue.starts.push(Date.now());
+      const res = await run();
+      if (res.ok || res.status !== 429) return res;
+      // A 429 arrives before any text streams, so the request can be replayed safely
+      const delayMs = parseRetryDelayMs(res) ?? 2000 * Math.pow(2, attempt);
+      if (attempt >= MAX_QUOTA_RETRIES || delayMs > MAX_QUOTA_WAIT_MS) return res;
+      queue.blockedUntil = Math.max(queue.blockedUntil, Date.now() + delayMs);
+    }
+  } finally {
+    releaseModelSlot(queue);
+  }
+}
+
+// Stream one round through the configured provider; token usage is recorded per call
+async function streamGenerateContent(model, body, opts = {}) {
+  const provider = PROVIDERS[getProviderId()];
+  const res = await scheduleModelRequest(model, () => provider.stream(model, body, opts), { signal: opts.signal, onWait: opts.onWait });
+  const meta = res.ok ? res.json.usageMetadata : null;
+  if (meta) {
+    await recordUsage(model, meta, opts.conversationId);
+    if (meta.promptTokenCount) calibrateTokens(model, body, meta.promptTokenCount - (meta.cachedContentTokenCount || 0));
+  }
+  return res;
+}
+
+// Estimated USD per 1M tokens. Prefixes also match versioned names; more specific first.
+const MODEL_PRICING = [
+  { prefix: 'gemini-2.5-flash-lite', input: 0.10, output: 0.40, cached: 0.025 },
+  { prefix: 'gemini-2.5-flash', input: 0.30, output: 2.50, cached: 0.075 },
+  { prefix: 'gemini-2.5-pro', input: 1.25, output: 10.00, cached: 0.31 },
+  { prefix: 'gemini-2.0-flash-lite', input: 0.075, output: 0.30, cached: 0.01875 },
+  { prefix: 'gemini-2.0-flash', input: 0.10, output: 0.40, cached: 0.025 },
+  { prefix: 'gemini-1.5-flash', input: 0.075, output: 0.30, cached: 0.01875 },
+  { prefix: 'gemini-1.5-pro', input: 1.25, output: 5.00, cached: 0.3125 }
+];
+
+// Reduce usageMetadata to prompt/output/cached counts plus an estimated cost.
+// Thinking tokens are billed as output; cached tokens are part of the prompt count.
+function normalizeUsage(model, meta) {
+  const prompt = meta?.promptTokenCount || 0;
+  const cached = meta?.cachedContentTokenCount || 0;
+  const output = (meta?.candidatesTokenCount || 0) + (meta?.thoughtsTokenCount || 0);
+  const price = getProviderId() === 'gemini' ? MODEL_PRICING.find(p => model.startsWith(p.prefix)) : null;
+  const cost = price ? ((prompt - cached) * price.input + cached * price.cached + output * price.output) / 1e6 : 0;
+  return { model, prompt, output, cached, cost, priced: !!price };
+}
+
+function todayKey() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+async function getDailyUsage() {
+  const { usageDaily } = await chrome.storage.local.get('usageDaily');
+  if (usageDaily?.date === todayKey()) return usageDaily;
+  return { date: todayKey(), prompt: 0, output: 0, cached: 0, cost: 0 };
+}
+
+// Serialize read-modify-write of the daily counter across concurrent rounds
+let dailyUsageWrite = Promise.resolve();
+
+function addDailyUsage(usage) {
+  dailyUsageWrite = dailyUsageWrite.catch(() => {}).then(async () => {
+    const daily = await getDailyUsage();
+    daily.prompt += usage.prompt;
+    daily.output += usage.output;
+    daily.cached += usage.cached;
+    daily.cost += usage.cost;
+    await chrome.storage.local.set({ usageDaily: daily });
+    return daily;
+  });
+  return dailyUsageWrite;
+}
+
+async function recordUsage(model, meta, conversationId) {
+  try {
+    const usage = normalizeUsage(model, meta);
+    const daily = await addDailyUsage(usage);
+    chrome.runtime.sendMessage({ type: 'USAGE_UPDATE', conversationId, usage, daily, budget: STATE.dailyTokenBudget });
+  } catch (e) {
+    console.warn('recordUsage failed:', e);
+  }
+}
+
+// Returns a refusal message once today's prompt + output tokens reach the configured budget
+async function checkDailyBudget() {
+  if (!STATE.dailyTokenBudget) return null;
+  const daily = await getDailyUsage();
+  const used = daily.prompt + daily.output;
+  if (used < STATE.dailyTokenBudget) return null;
+  return `Daily token budget reached (${used.toLocaleString()} of ${STATE.dailyTokenBudget.toLocaleString()} tokens used today). Raise the budget in options or try again tomorrow.`;
+}
+
+
+// Inject the content script only into a top frame that does not have it yet: re-running the
+// file in the same page would redeclare its top-level bindings
+function hasContentScript(tabId) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, { type: 'PING' }, { frameId: 0 }, (res) => {
+      void chrome.runtime.lastError;
+      resolve(!!res?.ok);
+    });
+  });
+}
 
 async function ensureContentScript(tabId) {
+  if (await hasContentScript(tabId)) return;
   try {
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
@@ -207,6 +1016,28 @@ async function ensureContentScript(tabId) {
   }
 }
 
+// Citation footnotes: bring up the cited page (reusing a tab that shows it) and mark the passage
+async function openSource(url, passage) {
+  const withoutHash = (u) => String(u || '').split('#')[0];
+  const [current] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const tabs = await chrome.tabs.query(current ? { windowId: current.windowId } : {});
+  let tab = tabs.find(t => withoutHash(t.url) === withoutHash(url));
+  if (tab) {
+    await chrome.tabs.update(tab.id, { active: true });
+  } else {
+    tab = await chrome.tabs.create({ url, active: true, windowId: current?.windowId });
+    await waitForTabComplete(tab.id, 20000);
+  }
+  if (!passage) return { ok: true, tabId: tab.id };
+  await ensureContentScript(tab.id);
+  try {
+    const res = await chrome.tabs.sendMessage(tab.id, { type: 'HIGHLIGHT_PASSAGE', text: passage }, { frameId: 0 });
+    return { ok: true, tabId: tab.id, found: !!res?.found };
+  } catch (e) {
+    return { ok: true, tabId: tab.id, found: false };
+  }
+}
+
 async function waitForTabComplete(tabId, timeoutMs = 20000) {
   return new Promise((resolve) => {
     let done = false;
@@ -406,13 +1237,15 @@ async function extractTextAllFrames(tabId, selector) {
     return { text: '' };
   }
 }
-async function executeTool(name, args, tabId) {
+// `context` carries the requesting task's abort signal and conversation for background tools
+// that make model requests of their own
+async function executeTool(name, args, tabId, context = {}) {
   if (!tabId) {
     console.error("executeTool: Missing tabId, cannot execute tool.");
     return { error: "Missing tabId for tool execution." };
   }
   if (BACKGROUND_TOOLS.has(name)) {
-    return await handleBackgroundTool(name, args, tabId);
+    return await handleBackgroundTool(name, args, tabId, context);
   }
   await ensureContentScript(tabId);
   // Capture current URL in case of SPA navigation
@@ -423,7 +1256,9 @@ async function executeTool(name, args, tabId) {
   } catch {}
   const result = await new Promise((resolve) => {
     const msg = { type: 'EXECUTE_TOOL', name, args };
-    chrome.tabs.sendMessage(tabId, msg, (res) => {
+    // Element indices belong to the top frame's map, so only that frame may answer
+    const options = ELEMENT_MAP_TOOLS.has(name) ? { frameId: 0 } : {};
+    chrome.tabs.sendMessage(tabId, msg, options, (res) => {
       resolve(res?.result ?? null);
     });
   });
@@ -496,8 +1331,23 @@ async function executeTool(name, args, tabId) {
   return result;
 }
 
+// Execute a tool but give up as soon as the task is stopped; the content script is told to
+// abandon long operations (scrolling extraction, waits) so the page settles quickly.
+async function runToolCancellable(name, args, tabId, signal, conversationId) {
+  if (!signal) return executeTool(name, args, tabId, { conversationId });
+  const onAbort = () => {
+    if (tabId) chrome.tabs.sendMessage(tabId, { type: 'CANCEL_TOOLS' }, () => void chrome.runtime.lastError);
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    return await raceAbort(executeTool(name, args, tabId, { signal, conversationId }), signal);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
 // Background tool handlers
-async function handleBackgroundTool(name, args, tabId) {
+async function handleBackgroundTool(name, args, tabId, { signal, conversationId } = {}) {
   switch (name) {
     case 'openNewTab': {
       const url = args?.url;
@@ -544,6 +1394,42 @@ async function handleBackgroundTool(name, args, tabId) {
       const tabs = await chrome.tabs.query({ currentWindow: true });
       return { tabs: tabs.map(t => ({ id: t.id, title: t.title, url: t.url })) };
     }
+    case 'captureScreenshot': {
+      try {
+        // captureVisibleTab only sees the active tab of a window
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab.active) {
+          await chrome.tabs.update(tabId, { active: true });
+          await new Promise(resolve => setTimeout(resolve, 300));
+        }
+        let rect = null;
+        if (args?.selector) {
+          await ensureContentScript(tabId);
+          rect = await new Promise((resolve) => {
+            chrome.tabs.sendMessage(tabId, { type: 'GET_ELEMENT_RECT', selector: args.selector }, { frameId: 0 }, (res) => {
+              void chrome.runtime.lastError;
+              resolve(res || null);
+            });
+          });
+          if (!rect?.ok) return { error: `No visible element matches selector: ${args.selector}` };
+        }
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+        const image = await encodeScreenshot(dataUrl, rect);
+        return {
+          ok: true,
+          url: tab.url,
+          selector: args?.selector || null,
+          width: image.width,
+          height: image.height,
+          image: { mimeType: image.mimeType, data: image.data }
+        };
+      } catch (e) {
+        return { error: String(e?.message || e) };
+      }
+    }
+    case 'extractStructuredData': {
+      return await extractStructuredData({ schema: args?.schema, instructions: args?.instructions, tabId, conversationId, signal });
+    }
     case 'gdocsCreateDocument': {
       const tab = await chrome.tabs.create({ url: 'https://docs.new', active: true });
       await waitForTabComplete(tab.id, 30000);
@@ -561,17 +1447,95 @@ async function handleBackgroundTool(name, args, tabId) {
   }
 }
 
+// Longest edge of screenshots sent to the model, in pixels
+const MAX_SCREENSHOT_DIM = 1568;
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Decode a captureVisibleTab data URL, optionally crop it to an element's viewport rect,
+// and re-encode as a downscaled JPEG so the inline payload stays small.
+async function encodeScreenshot(dataUrl, rect) {
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  let sx = 0, sy = 0, sw = bitmap.width, sh = bitmap.height;
+  if (rect) {
+    const scale = bitmap.width / (rect.viewportWidth || bitmap.width);
+    sx = Math.max(0, Math.floor(rect.x * scale));
+    sy = Math.max(0, Math.floor(rect.y * scale));
+    sw = Math.max(1, Math.min(bitmap.width - sx, Math.ceil(rect.width * scale)));
+    sh = Math.max(1, Math.min(bitmap.height - sy, Math.ceil(rect.height * scale)));
+  }
+  const fit = Math.min(1, MAX_SCREENSHOT_DIM / Math.max(sw, sh));
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(sw * fit)), Math.max(1, Math.round(sh * fit)));
+  canvas.getContext('2d').drawImage(bitmap, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.85 });
+  return { mimeType: 'image/jpeg', data: await blobToBase64(blob), width: canvas.width, height: canvas.height };
+}
+
 function getToolDeclarations() {
   const base = [
     {
       functionDeclarations: [
         {
-          name: 'scrollTo',
-          description: 'Scroll the page to a vertical position in pixels.',
+          name: 'scrollTo',
+          description: 'Scroll the page to a vertical position in pixels.',
+          parameters: {
+            type: 'object',
+            properties: { y: { type: 'number', description: 'Vertical position in pixels' } },
+            required: ['y']
+          }
+        },
+        {
+          name: 'getInteractiveElements',
+          description: 'List the visible interactive elements of the current page (links, buttons, inputs, selects, checkboxes, tabs, menu items...) as numbered entries with role, label, value, state and viewport position. Call this before clicking or typing and act on elements by their index with clickElement, typeIntoElement and selectElementOption. Call it again after the page changes.',
+          parameters: {
+            type: 'object',
+            properties: {
+              onlyInViewport: { type: 'boolean', description: 'Only list elements currently inside the viewport' }
+            },
+            required: []
+          }
+        },
+        {
+          name: 'clickElement',
+          description: 'Click the element with the given index from getInteractiveElements. Returns whether the page changed afterwards.',
           parameters: {
             type: 'object',
-            properties: { y: { type: 'number', description: 'Vertical position in pixels' } },
-            required: ['y']
+            properties: { index: { type: 'number', description: 'Element index from getInteractiveElements' } },
+            required: ['index']
+          }
+        },
+        {
+          name: 'typeIntoElement',
+          description: 'Type text into the text field, text area or editable element with the given index from getInteractiveElements.',
+          parameters: {
+            type: 'object',
+            properties: {
+              index: { type: 'number', description: 'Element index from getInteractiveElements' },
+              text: { type: 'string', description: 'Text to type' },
+              clear: { type: 'boolean', description: 'Replace the current content (default true); false appends' },
+              submit: { type: 'boolean', description: 'Press Enter afterwards to submit (default false)' }
+            },
+            required: ['index', 'text']
+          }
+        },
+        {
+          name: 'selectElementOption',
+          description: 'Choose an option in the select, listbox or combobox with the given index from getInteractiveElements.',
+          parameters: {
+            type: 'object',
+            properties: {
+              index: { type: 'number', description: 'Element index from getInteractiveElements' },
+              option: { type: 'string', description: 'Option value or visible text' }
+            },
+            required: ['index', 'option']
           }
         },
         {
@@ -602,7 +1566,8 @@ function getToolDeclarations() {
             type: 'object',
             properties: { 
               selector: { type: 'string', description: 'CSS selector(s)' },
-              scroll: { type: 'boolean', description: 'Whether to scroll through the page to capture all content (recommended for rankings, lists, full articles)' }
+              scroll: { type: 'boolean', description: 'Whether to scroll through the page to capture all content (recommended for rankings, lists, full articles)' },
+              tabId: { type: 'number', description: 'Optional id of another open tab (from listOpenTabs) to read without switching to it' }
             },
             required: []
           }
@@ -636,7 +1601,8 @@ function getToolDeclarations() {
                 type: 'string',
                 description: 'Extraction method: "text" (simple text), "html" (raw HTML), "full" (complete page HTML), "clean" (cleaned text), "structured" (headings/paragraphs)',
                 enum: ['text', 'html', 'full', 'clean', 'structured']
-              }
+              },
+              tabId: { type: 'number', description: 'Optional id of another open tab (from listOpenTabs) to read without switching to it' }
             },
             required: []
           }
@@ -721,12 +1687,12 @@ function getToolDeclarations() {
         {
           name: 'getLinksOnPage',
           description: 'Return a list of visible links (text and href) on the current page.',
-          parameters: { type: 'object', properties: {}, required: [] }
+          parameters: { type: 'object', properties: { tabId: { type: 'number', description: 'Optional id of another open tab (from listOpenTabs) to read without switching to it' } }, required: [] }
         },
         {
           name: 'getSearchResults',
           description: 'Parse the current search results page (Google/Bing/DuckDuckGo) and return the top organic results (title and href). Falls back to visible links if structure not recognized.',
-          parameters: { type: 'object', properties: {}, required: [] }
+          parameters: { type: 'object', properties: { tabId: { type: 'number', description: 'Optional id of another open tab (from listOpenTabs) to read without switching to it' } }, required: [] }
         },
         {
           name: 'clickSearchResultByDomain',
@@ -782,6 +1748,28 @@ function getToolDeclarations() {
           name: 'listOpenTabs',
           description: 'List the open tabs in the current window (id, title, url).',
           parameters: { type: 'object', properties: {}, required: [] }
+        },
+        {
+          name: 'captureScreenshot',
+          description: 'Take a screenshot of the visible part of the current tab and attach it as an image. Use it to see canvases, charts, images and visual layout that text extraction misses. Optionally crop to one element.',
+          parameters: {
+            type: 'object',
+            properties: { selector: { type: 'string', description: 'Optional CSS selector; the screenshot is cropped to this element (scrolled into view first)' } },
+            required: []
+          }
+        },
+        {
+          name: 'extractStructuredData',
+          description: 'Extract typed JSON from the current page that conforms to a JSON schema (product specs, rankings, contact lists, tables). The result is validated against the schema. Prefer this over free-text extraction when the user wants structured data.',
+          parameters: {
+            type: 'object',
+            properties: {
+              schema: { type: 'string', description: 'JSON Schema (as a JSON string) describing the data to extract, e.g. {"type":"array","items":{"type":"object","properties":{"name":{"type":"string"},"price":{"type":"number"}},"required":["name"]}}' },
+              instructions: { type: 'string', description: 'Optional extra guidance, e.g. which section of the page to use' },
+              tabId: { type: 'number', description: 'Optional id of another open tab (from listOpenTabs) to read without switching to it' }
+            },
+            required: ['schema']
+          }
         }
       ]
     }
@@ -820,11 +1808,44 @@ function getToolDeclarations() {
   return base.concat(gtools);
 }
 
+// Declarations limited to the named tools (slash commands); [] leaves the model without tools
+function selectToolDeclarations(names) {
+  const all = getToolDeclarations();
+  if (!Array.isArray(names)) return all;
+  const allowed = new Set(names);
+  const decls = all.flatMap(t => t.functionDeclarations || []).filter(d => allowed.has(d.name));
+  return decls.length ? [{ functionDeclarations: decls }] : undefined;
+}
+
+// Commands that work on the page read it up front instead of spending a tool round on it.
+// The text goes in as page context right before the latest user message.
+const MAX_PAGE_TEXT_CHARS = 60000;
+
+async function withPageText(payload, tabId, signal) {
+  if (!payload.includePage) return payload;
+  const page = await runToolCancellable('getAllContent', { method: 'clean' }, tabId, signal);
+  const text = String(page?.content || '').slice(0, MAX_PAGE_TEXT_CHARS);
+  let tab = null;
+  try { tab = await chrome.tabs.get(tabId); } catch {}
+  const context = {
+    role: 'user',
+    content: text ? `Content of the page "${tab?.title || ''}" (${tab?.url || ''}):\n\n${text}` : 'The content of the current page could not be read.',
+    context: true
+  };
+  const messages = payload.messages || [];
+  return { ...payload, messages: [...messages.slice(0, -1), context, ...messages.slice(-1)] };
+}
+
 
 function buildContentsFromMessages(messages = [], system) {
   const contents = [];
   for (const m of messages) {
-    contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] });
+    const attachments = m.attachments || [];
+    const parts = m.content || !attachments.length ? [{ text: m.content }] : [];
+    for (const a of attachments) parts.push(...attachmentParts(a));
+    const content = { role: m.role === 'assistant' ? 'model' : 'user', parts };
+    if (m.context) PAGE_CONTEXT_TURNS.add(content);
+    contents.push(content);
   }
   const systemInstruction = system
     ? { role: 'user', parts: [{ text: system }] }
@@ -832,6 +1853,14 @@ function buildContentsFromMessages(messages = [], system) {
   return { contents, systemInstruction };
 }
 
+// Files attached in the panel (attachments.js): inline PDFs/images, or their extracted text.
+// The file name goes first so the model can tell several attachments apart.
+function attachmentParts(a) {
+  if (a.omitted) return [{ text: `Attached file: ${a.name} (sent earlier in the conversation; not repeated to keep the request small)` }];
+  if (a.data) return [{ text: `Attached file: ${a.name}` }, { inlineData: { mimeType: a.mimeType, data: a.data } }];
+  return [{ text: `Attached file "${a.name}":\n\n${a.text || ''}` }];
+}
+
 function extractTextFromCandidate(candidate) {
   if (!candidate) return '';
   const parts = candidate.content?.parts || candidate.parts || [];
@@ -853,13 +1882,55 @@ function getFunctionCallsFromCandidate(candidate) {
   return calls;
 }
 
+// Tool results as kept in the step trace for the panel's timeline (screenshots without pixels)
+const TRACE_RESULT_MAX_CHARS = 20000;
+
+function traceResult(result) {
+  let text;
+  try {
+    text = JSON.stringify(result, (key, value) => (key === 'image' && value?.data ? { mimeType: value.mimeType, data: '[image omitted]' } : value), 2);
+  } catch {
+    text = String(result);
+  }
+  text = text ?? '';
+  if (text.length <= TRACE_RESULT_MAX_CHARS) return text;
+  return `${text.slice(0, TRACE_RESULT_MAX_CHARS)}\n... (${text.length - TRACE_RESULT_MAX_CHARS} more characters)`;
+}
+
+// Pages read during a task, numbered so the answer can cite them as [n]; re-reading a page
+// keeps its number. `text` is what the panel matches cited claims against.
+const SOURCE_TEXT_MAX_CHARS = 20000;
+
+function sourceTextOf(name, result) {
+  if (name === 'autoExtractAfterNavigation') return result?.success && typeof result.content === 'string' ? result.content : null;
+  return pageTextOf(name, result)?.text ?? null;
+}
+
+function recordSource(sources, tab, text) {
+  let source = sources.find(s => s.url === tab.url);
+  if (!source) {
+    source = { index: sources.length + 1, url: tab.url, title: tab.title || '', text: '' };
+    sources.push(source);
+  }
+  if (text.length > source.text.length) source.text = text.slice(0, SOURCE_TEXT_MAX_CHARS);
+  return source;
+}
+
 function makeFunctionResponseParts(nameToResultArray) {
   const parts = [];
+  const media = [];
   for (const { name, result } of nameToResultArray) {
-    const safe = truncateDeep(result, { maxChars: 2000, maxArray: 30, maxKeys: 30 });
+    // Images go to the model as inlineData parts; the JSON response keeps only a placeholder
+    let response = result;
+    if (result?.image?.data) {
+      const { image, ...rest } = result;
+      response = { ...rest, image: `[${image.mimeType} attached]` };
+      media.push({ inlineData: { mimeType: image.mimeType, data: image.data } });
+    }
+    const safe = truncateDeep(response, { maxChars: 2000, maxArray: 30, maxKeys: 30 });
     parts.push({ functionResponse: { name, response: safe } });
   }
-  return parts;
+  return parts.concat(media);
 }
 
 function safelyParseJSON(s) {
@@ -895,52 +1966,169 @@ function truncateDeep(value, { maxChars = 1500, maxArray = 50, maxKeys = 50 } =
   return trunc(value);
 }
 
-function waitForMessageOnce(predicate, timeoutMs = 30000) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      chrome.runtime.onMessage.removeListener(handler);
-      reject(new Error('Timed out waiting for response'));
-    }, timeoutMs);
-    function handler(msg, sender) {
-      try {
-        if (predicate(msg, sender)) {
-          clearTimeout(timer);
-          chrome.runtime.onMessage.removeListener(handler);
-          resolve(msg);
-        }
-      } catch (e) {
-        // ignore
-      }
-    }
-    chrome.runtime.onMessage.addListener(handler);
-  });
+// Context budgeting in tokens. Counts are a local estimate (characters per token, calibrated
+// per model against the prompt token counts the API reports) and, close to the limit, the
+// countTokens endpoint. The budget is the model's input window minus the system prompt, tool
+// declarations, any cached page and the room reserved for output.
+const DEFAULT_INPUT_TOKEN_LIMIT = 32768;
+const DEFAULT_CHARS_PER_TOKEN = 4;
+// Images cost 258 tokens per 768px tile; a screenshot is typically about four tiles
+const IMAGE_TOKENS = 1032;
+// Each PDF page counts as one 258-token image. Pages are counted from the file's page objects;
+// when those sit in compressed object streams, from its size.
+const PDF_PAGE_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 20000;
+const TOKEN_SAFETY_MARGIN = 0.05;
+// Stages for shrinking tool results and page context (max chars per string; 0 drops them)
+const TOOL_RESULT_LIMITS = [500, 0];
+// Page-context turns, marked by object identity since Gemini rejects unknown content fields
+const PAGE_CONTEXT_TURNS = new WeakSet();
+const CHARS_PER_TOKEN = {};
+// The ratios as last stored; a ratio is written again only once it drifts this far from them
+const SAVED_CHARS_PER_TOKEN = {};
+const CALIBRATION_SAVE_DELTA = 0.05;
+
+chrome.storage.local.get('tokenCalibration', ({ tokenCalibration }) => {
+  Object.assign(CHARS_PER_TOKEN, tokenCalibration || {});
+  Object.assign(SAVED_CHARS_PER_TOKEN, tokenCalibration || {});
+});
+
+// Page counts by PDF data; the same attachment is measured again every round
+const pdfPageCounts = new Map();
+
+function pdfPageCount(data) {
+  let pages = pdfPageCounts.get(data);
+  if (pages != null) return pages;
+  let raw = '';
+  try { raw = atob(data); } catch {}
+  const objects = (raw.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+  pages = objects || Math.max(1, Math.ceil((data.length * 3 / 4) / PDF_BYTES_PER_PAGE));
+  if (pdfPageCounts.size >= 20) pdfPageCounts.clear();
+  pdfPageCounts.set(data, pages);
+  return pages;
+}
+
+function hasPdfPart(contents = []) {
+  return contents.some(c => (c.parts || []).some(p => p.inlineData?.mimeType === 'application/pdf'));
+}
+
+// Characters, plus tokens for images and PDFs, in everything a request sends as prompt
+function measurePrompt({ contents = [], systemInstruction, tools } = {}) {
+  let chars = 0;
+  let mediaTokens = 0;
+  const countPart = (p) => {
+    if (typeof p.text === 'string') chars += p.text.length;
+    else if (p.inlineData?.mimeType === 'application/pdf') mediaTokens += pdfPageCount(p.inlineData.data || '') * PDF_PAGE_TOKENS;
+    else if (p.inlineData) mediaTokens += IMAGE_TOKENS;
+    else chars += JSON.stringify(p).length;
+  };
+  for (const c of contents) (c.parts || []).forEach(countPart);
+  (systemInstruction?.parts || []).forEach(countPart);
+  if (tools) chars += JSON.stringify(tools).length;
+  return { chars, mediaTokens };
+}
+
+function estimateTokens(model, request) {
+  const { chars, mediaTokens } = measurePrompt(request);
+  return Math.ceil(chars / (CHARS_PER_TOKEN[model] || DEFAULT_CHARS_PER_TOKEN)) + mediaTokens;
+}
+
+// Fold an observed prompt token count into the model's ratio (moving average, clamped)
+function calibrateTokens(model, request, tokens) {
+  // PDF page counts are themselves estimates; they would skew the text ratio
+  if (hasPdfPart(request.contents)) return;
+  const { chars, mediaTokens } = measurePrompt(request);
+  const textTokens = tokens - mediaTokens;
+  if (chars < 2000 || textTokens <= 0) return;
+  const observed = Math.min(8, Math.max(1.5, chars / textTokens));
+  const previous = CHARS_PER_TOKEN[model] || DEFAULT_CHARS_PER_TOKEN;
+  const ratio = +(previous * 0.7 + observed * 0.3).toFixed(3);
+  CHARS_PER_TOKEN[model] = ratio;
+  const saved = SAVED_CHARS_PER_TOKEN[model];
+  if (saved && Math.abs(ratio - saved) / saved < CALIBRATION_SAVE_DELTA) return;
+  SAVED_CHARS_PER_TOKEN[model] = ratio;
+  chrome.storage.local.set({ tokenCalibration: { ...CHARS_PER_TOKEN } });
 }
 
-// Limit total characters sent to Gemini to decrease likelihood of 500 INTERNAL errors
-function estimateContentChars(contents = []) {
-  let sum = 0;
-  for (const c of contents) {
-    const parts = c.parts || c.content?.parts || [];
-    for (const p of parts) if (typeof p.text === 'string') sum += p.text.length;
+// Exact count from the API (Gemini only); null when unavailable
+async function countTokensExact(model, request, signal) {
+  if (getProviderId() !== 'gemini' || !STATE.apiKey) return null;
+  try {
+    const resp = await fetch(`${getApiBase()}/models/${encodeURIComponent(model)}:countTokens?key=${encodeURIComponent(STATE.apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ generateContentRequest: { model: `models/${model}`, ...request } }),
+      signal
+    });
+    if (!resp.ok) return null;
+    const json = await resp.json();
+    if (typeof json.totalTokens !== 'number') return null;
+    calibrateTokens(model, request, json.totalTokens);
+    return json.totalTokens;
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    return null;
   }
-  return sum;
 }
 
-function trimContents(contents = [], maxChars = 12000) {
-  if (estimateContentChars(contents) <= maxChars) return contents;
-  const kept = [];
-  // Keep most recent messages first while staying under limit
-  for (let i = contents.length - 1; i >= 0; i--) {
-    kept.unshift(contents[i]);
-    if (estimateContentChars(kept) > maxChars) {
-      kept.shift();
-      break;
+// Input window from the model list cached by the options page
+async function getInputTokenLimit(model) {
+  if (getProviderId() === 'gemini') {
+    const { geminiModels } = await chrome.storage.local.get('geminiModels');
+    const info = (geminiModels || []).find(m => m.id === model);
+    if (info?.inputTokenLimit) return info.inputTokenLimit;
+  }
+  return DEFAULT_INPUT_TOKEN_LIMIT;
+}
+
+async function getContextBudget(model, { systemInstruction, tools, maxOutputTokens = 1024, cache } = {}) {
+  let limit = await getInputTokenLimit(model);
+  if (STATE.contextTokenLimit > 0) limit = Math.min(limit, STATE.contextTokenLimit);
+  // A context cache already holds the system prompt and tools
+  const fixed = cache ? cache.tokens : estimateTokens(model, { systemInstruction, tools });
+  return Math.max(1024, Math.floor(limit * (1 - TOKEN_SAFETY_MARGIN)) - fixed - maxOutputTokens);
+}
+
+function isToolResultTurn(content) {
+  return content.role !== 'model' && (content.parts || []).some(p => p.functionResponse);
+}
+
+function isTrimmableTurn(content) {
+  return isToolResultTurn(content) || PAGE_CONTEXT_TURNS.has(content);
+}
+
+// Copy of a tool-result or page-context turn with its payload cut to maxChars (0 removes it)
+function shrinkTurn(content, maxChars) {
+  const parts = [];
+  for (const p of content.parts || []) {
+    if (p.functionResponse) {
+      const response = maxChars
+        ? truncateDeep(p.functionResponse.response, { maxChars, maxArray: 10, maxKeys: 20 })
+        : { note: 'Result removed to fit the context window.' };
+      parts.push({ functionResponse: { name: p.functionResponse.name, response } });
+    } else if (p.inlineData) {
+      if (maxChars) parts.push(p);
+    } else if (typeof p.text === 'string' && PAGE_CONTEXT_TURNS.has(content)) {
+      parts.push({ text: maxChars ? truncateDeep(p.text, { maxChars }) : '[Page context removed to fit the context window.]' });
+    } else {
+      parts.push(p);
     }
   }
-  return kept;
+  const shrunk = { role: content.role, parts };
+  if (PAGE_CONTEXT_TURNS.has(content)) PAGE_CONTEXT_TURNS.add(shrunk);
+  return shrunk;
+}
+
+// Drop the oldest turns; never start on an orphaned function response or a model turn
+function trimContents(contents, budget, measure) {
+  let start = 0;
+  while (start < contents.length - 1 && (measure(contents.slice(start)) > budget || isToolResultTurn(contents[start]) || contents[start].role === 'model')) {
+    start++;
+  }
+  return contents.slice(start);
 }
 
-async function summarizeHistoryText(headContents) {
+async function summarizeHistoryText(headContents, { conversationId } = {}) {
   try {
     const sys = 'You are a concise conversation summarizer. Summarize the following chat history into <= 10 bullet points, preserving key decisions, URLs, and user preferences. Avoid repetition. Max 1200 characters.';
     // Flatten to plain text for summarization
@@ -955,7 +2143,8 @@ async function summarizeHistoryText(headContents) {
     const res = await generateContentOnce({
       messages: [{ role: 'user', content: text }],
       system: sys,
-      config: { temperature: 0.2, topP: 0.9, maxOutputTokens: 320 }
+      config: { temperature: 0.2, topP: 0.9, maxOutputTokens: 320 },
+      conversationId
     });
     return (res?.text || '').slice(0, 1200);
   } catch (e) {
@@ -963,52 +2152,88 @@ async function summarizeHistoryText(headContents) {
   }
 }
 
-async function compressIfNeeded(contents, maxChars = 12000) {
-  if (estimateContentChars(contents) <= maxChars) return contents;
+// Summarize older history and keep the latest turns verbatim
+async function compressHistory(contents, budget, measure, { conversationId } = {}) {
   let tailCount = Math.min(contents.length, 8);
   while (tailCount > 2) {
-    const head = contents.slice(0, contents.length - tailCount);
-    const tail = contents.slice(contents.length - tailCount);
-    const summary = await summarizeHistoryText(head);
+    let split = contents.length - tailCount;
+    // A function response has to stay right after the call that produced it
+    if (isToolResultTurn(contents[split])) split--;
+    if (split <= 0) break;
+    const summary = await summarizeHistoryText(contents.slice(0, split), { conversationId });
     const newContents = [
       { role: 'user', parts: [{ text: `Conversation summary (compressed):\n${summary}` }] },
-      ...tail
+      ...contents.slice(split)
     ];
-    if (estimateContentChars(newContents) <= maxChars) return newContents;
+    if (measure(newContents) <= budget) return newContents;
     tailCount -= 2; // keep fewer tail messages and retry
   }
   // As last resort, hard trim
-  return trimContents(contents, maxChars);
+  return trimContents(contents, budget, measure);
 }
 
-// Simple Gemini REST client one-shot (retry-enabled)
-async function generateContentOnce({ messages, system, tools, config }) {
-  const model = STATE.model || 'gemini-2.0-flash';
-  const url = `${API_BASE}/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(STATE.apiKey)}`;
-  const contents = [];
-  if (system) contents.push({ role: 'user', parts: [{ text: `SYSTEM:${system}` }] });
-  for (const m of messages || []) contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] });
-  const body = { contents, tools, generationConfig: config };
-  const resp = await fetchWithRetry(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, { retries: 2, baseDelay: 600 });
-  if (!resp.ok) {
-    const text = await resp.text();
-    return { text: '', raw: { error: `API error ${resp.status}: ${text}` } };
+// Fit the history into the model's context window. Tool results and page context shrink first,
+// oldest first; only then are conversation turns summarized or dropped.
+async function fitContextBudget(contents, { model, systemInstruction, tools, maxOutputTokens, cache, conversationId, signal } = {}) {
+  const budget = await getContextBudget(model, { systemInstruction, tools, maxOutputTokens, cache });
+  const measure = (list) => estimateTokens(model, { contents: list });
+  let tokens = measure(contents);
+  // Near the limit an estimate is not good enough to decide; ask the API. PDF page counts are
+  // rough, so a history carrying one is always counted exactly when the API allows it.
+  if (hasPdfPart(contents) || (tokens > budget * 0.85 && tokens < budget * 1.25)) {
+    const exact = await countTokensExact(model, { contents }, signal);
+    if (exact != null) tokens = exact;
   }
-  const json = await resp.json();
-  const text = json.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  return { text, raw: json };
+  if (tokens <= budget) return contents;
+
+  const out = contents.slice();
+  for (const maxChars of TOOL_RESULT_LIMITS) {
+    for (let i = 0; i < out.length; i++) {
+      if (!isTrimmableTurn(out[i])) continue;
+      out[i] = shrinkTurn(out[i], maxChars);
+      if (measure(out) <= budget) return out;
+    }
+  }
+  return compressHistory(out, budget, measure, { conversationId });
 }
 
-async function requestToolApproval(calls, tabId) {
-  if (STATE.autoApprove) return true;
-  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-  chrome.runtime.sendMessage({ type: 'REQUEST_TOOL_APPROVAL', id, calls });
-  try {
-    const res = await waitForMessageOnce((msg) => msg?.type === 'TOOL_APPROVAL_RESPONSE' && msg?.id === id);
-    return !!res.approved;
-  } catch (e) {
-    return false;
+// One-shot request through the configured provider (retry-enabled)
+async function generateContentOnce({ messages, system, tools, config, conversationId }) {
+  const { contents, systemInstruction } = buildContentsFromMessages(messages, system);
+  const body = { contents, tools, systemInstruction, generationConfig: config };
+  const res = await streamGenerateContent(getActiveModel(), body, { conversationId, retry: { retries: 2, baseDelay: 600 } });
+  if (!res.ok) {
+    return { text: '', raw: { error: `API error ${res.status}: ${res.text}` } };
   }
+  const text = extractTextFromCandidate(res.json.candidates?.[0]);
+  return { text, raw: res.json };
+}
+
+// `ask` prompts the panel that started the task (askToolApproval); without one nothing is approved
+async function requestToolApproval(calls, { signal, ask } = {}) {
+  if (STATE.autoApprove) return true;
+  if (!ask) return false;
+  return raceAbort(ask(calls), signal);
+}
+
+// Cancellation helpers for stoppable agent tasks
+function abortError() {
+  return new DOMException('Task stopped by user', 'AbortError');
+}
+
+function isAbortError(e) {
+  return e?.name === 'AbortError';
+}
+
+// Reject as soon as the signal aborts, even if the wrapped promise is still pending
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
 }
 
 // Simple fetch with retry/backoff for transient Gemini errors
@@ -1025,12 +2250,13 @@ async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500 } = {
         return resp; // non-retryable
       }
     } catch (e) {
+      if (isAbortError(e)) throw e;
       lastErr = e;
       // network error; retry
     }
     const jitter = Math.random() * 100;
     const delay = baseDelay * Math.pow(2, attempt) + jitter;
-    await new Promise(r => setTimeout(r, delay));
+    await raceAbort(new Promise(r => setTimeout(r, delay)), options?.signal);
     attempt++;
   }
   if (lastErr) throw lastErr;
@@ -1038,61 +2264,388 @@ async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500 } = {
   return fetch(url, options);
 }
 
-async function generateWithToolsLoop({ messages = [], system, config }, tabId) {
-  const tools = getToolDeclarations();
+// Structured-output extraction: page content + a user JSON schema -> validated, typed JSON
+const MAX_EXTRACTION_CHARS = 60000;
+const GEMINI_SCHEMA_KEYS = new Set(['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'propertyOrdering', 'anyOf']);
+
+// Reduce a JSON Schema to the subset Gemini accepts as responseSchema
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+    if (key === 'type' && Array.isArray(value)) {
+      const types = value.filter(t => t !== 'null');
+      out.type = types[0] || 'string';
+      if (types.length < value.length) out.nullable = true;
+    } else if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value || {}).map(([name, sub]) => [name, toGeminiSchema(sub)]));
+    } else if (key === 'items' || key === 'anyOf') {
+      out[key] = toGeminiSchema(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  // Keep the caller's property order in the output
+  if (out.properties && !out.propertyOrdering) out.propertyOrdering = Object.keys(out.properties);
+  return out;
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Minimal JSON Schema validator: type, nullable, enum, required, properties, items, min/maxItems
+function validateAgainstSchema(value, schema, path = '$', errors = []) {
+  if (!schema || typeof schema !== 'object' || errors.length >= 20) return errors;
+  const types = [].concat(schema.type || []);
+  if (schema.nullable) types.push('null');
+  const actual = jsonType(value);
+  if (types.length && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    errors.push(`${path}: expected ${types.join('|')}, got ${actual}`);
+    return errors;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required property is missing`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) validateAgainstSchema(value[key], sub, `${path}.${key}`, errors);
+    }
+  }
+  if (actual === 'array') {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path}: expected at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path}: expected at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+  return errors;
+}
+
+async function extractStructuredData({ schema, instructions, tabId, conversationId, signal }) {
+  if (typeof schema === 'string') schema = safelyParseJSON(schema);
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema) || !Object.keys(schema).length) {
+    return { error: 'A JSON schema object is required.' };
+  }
+  const page = await runToolCancellable('getAllContent', { method: 'clean' }, tabId, signal);
+  const text = String(page?.content || '').slice(0, MAX_EXTRACTION_CHARS);
+  if (!text) return { error: 'Could not read any content from the page.' };
+  let tab = null;
+  try { tab = await chrome.tabs.get(tabId); } catch {}
+  const source = { url: tab?.url || '', title: tab?.title || '' };
+
+  const contents = [{
+    role: 'user',
+    parts: [
+      { text: `Page title: ${source.title}\nURL: ${source.url}\n\n${text}` },
+      { text: instructions ? `Extract data matching the schema. ${instructions}` : 'Extract all data on this page that matches the schema.' }
+    ]
+  }];
+  const body = {
+    contents,
+    systemInstruction: { role: 'user', parts: [{ text: 'You extract structured data from web pages. Only use facts present in the page content; use null for missing values where the schema allows it and never invent data.' }] },
+    generationConfig: { temperature: 0, responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema), maxOutputTokens: 8192 }
+  };
+
+  let errors = [];
+  let data = null;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const res = await streamGenerateContent(getActiveModel(), body, { signal, conversationId, retry: { retries: 2, baseDelay: 600 } });
+    if (!res.ok) return { error: `API error ${res.status}: ${res.text}` };
+    const raw = extractTextFromCandidate(res.json.candidates?.[0]);
+    try {
+      data = JSON.parse(raw);
+      errors = validateAgainstSchema(data, schema);
+    } catch {
+      data = null;
+      errors = ['Response was not valid JSON'];
+    }
+    if (!errors.length) return { ok: true, data, source };
+    // Feed validation errors back for one repair attempt
+    body.contents = [
+      ...contents,
+      { role: 'model', parts: [{ text: raw }] },
+      { role: 'user', parts: [{ text: `The JSON does not match the schema:\n- ${errors.join('\n- ')}\nReturn the corrected JSON only.` }] }
+    ];
+  }
+  return { ok: false, error: 'Extracted JSON did not match the schema.', errors, data, source };
+}
+
+// Gemini context caching for large page extractions. A long page is uploaded once as a
+// cachedContents resource (together with the system prompt and tools, which a request using
+// the cache may not repeat); later rounds and follow-up questions about the same page refer to
+// it by name instead of re-sending the text. Entries live in memory only; the TTL cleans up
+// caches orphaned when the worker is suspended.
+const PAGE_CACHE_MIN_CHARS = 20000;
+const PAGE_CACHE_MAX_CHARS = 400000;
+const PAGE_CACHE_TTL_SECONDS = 900;
+const PAGE_CACHES = new Map(); // tabId -> { name, model, tabId, conversationId, url, title, system, turn, chars, tokens, expiresAt, invalidated }
+
+// The page text carried by a content-reading tool result, if any
+function pageTextOf(name, result) {
+  if (name === 'getAllContent' && typeof result?.content === 'string') return { key: 'content', text: result.content };
+  if (name === 'extractText' && typeof result?.text === 'string') return { key: 'text', text: result.text };
+  return null;
+}
+
+function cacheExpiry(json) {
+  const t = Date.parse(json?.expireTime || '');
+  return Number.isFinite(t) ? t : Date.now() + PAGE_CACHE_TTL_SECONDS * 1000;
+}
+
+function isPageCacheUsable(cache) {
+  return !!cache && !cache.invalidated && cache.expiresAt - 30000 > Date.now();
+}
+
+async function createPageCache({ model, tabId, conversationId, text, systemInstruction, tools, signal }) {
+  if (getProviderId() !== 'gemini' || !STATE.apiKey) return null;
+  let tab;
+  try { tab = await chrome.tabs.get(tabId); } catch { return null; }
+  const turn = {
+    role: 'user',
+    parts: [{ text: `Full content of the page "${tab.title || ''}" (${tab.url || ''}), read earlier in this conversation:\n\n${text.slice(0, PAGE_CACHE_MAX_CHARS)}` }]
+  };
+  const body = {
+    model: `models/${model}`,
+    displayName: `page ${tabId}`,
+    contents: [turn],
+    systemInstruction,
+    tools,
+    ttl: `${PAGE_CACHE_TTL_SECONDS}s`
+  };
+  let resp;
+  try {
+    resp = await fetchWithRetry(
+      `${getApiBase()}/cachedContents?key=${encodeURIComponent(STATE.apiKey)}`,
+      { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal },
+      { retries: 1, baseDelay: 500 }
+    );
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    return null;
+  }
+  if (!resp.ok) {
+    // Too small for the model's minimum, model without caching support, etc.: keep the text inline
+    console.warn('Context cache not created:', resp.status, await resp.text());
+    return null;
+  }
+  const json = await resp.json();
+  const entry = {
+    name: json.name,
+    model,
+    tabId,
+    conversationId,
+    url: tab.url || '',
+    title: tab.title || '',
+    system: systemInstruction?.parts?.[0]?.text || '',
+    turn,
+    chars: text.length,
+    tokens: json.usageMetadata?.totalTokenCount || Math.ceil(text.length / DEFAULT_CHARS_PER_TOKEN),
+    expiresAt: cacheExpiry(json),
+    invalidated: false
+  };
+  PAGE_CONTEXT_TURNS.add(turn);
+  const previous = PAGE_CACHES.get(tabId);
+  PAGE_CACHES.set(tabId, entry);
+  if (previous) deletePageCache(previous);
+  return entry;
+}
+
+function deletePageCache(cache) {
+  cache.invalidated = true;
+  if (!STATE.apiKey) return;
+  fetch(`${getApiBase()}/${cache.name}?key=${encodeURIComponent(STATE.apiKey)}`, { method: 'DELETE' }).catch(() => {});
+}
+
+function invalidatePageCache(tabId) {
+  const cache = PAGE_CACHES.get(tabId);
+  if (!cache) return;
+  PAGE_CACHES.delete(tabId);
+  deletePageCache(cache);
+}
+
+// A cache from an earlier request is reused when it belongs to the same conversation and the
+// tab still shows the same page; a new thread or /clear starts without it
+async function findPageCache(tabId, systemInstruction, conversationId) {
+  const cache = PAGE_CACHES.get(tabId);
+  if (getProviderId() !== 'gemini' || !isPageCacheUsable(cache)) return null;
+  if (cache.conversationId !== conversationId) return null;
+  if (cache.system !== (systemInstruction?.parts?.[0]?.text || '')) return null;
+  let tab;
+  try { tab = await chrome.tabs.get(tabId); } catch { return null; }
+  if (tab.url !== cache.url) return null;
+  // Push the expiry out again since the page is still being discussed
+  try {
+    const resp = await fetch(`${getApiBase()}/${cache.name}?updateMask=ttl&key=${encodeURIComponent(STATE.apiKey)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ttl: `${PAGE_CACHE_TTL_SECONDS}s` })
+    });
+    if (resp.ok) cache.expiresAt = cacheExpiry(await resp.json());
+  } catch {}
+  return cache;
+}
+
+// Contents with the cached page inlined, for requests that cannot reference the cache
+function withInlinePage(contents, cache) {
+  return cache ? [cache.turn, ...contents] : contents;
+}
+
+// Point a request at the page cache; other models cannot use it, so they get the page inline
+function withPageCache(body, model, cache) {
+  if (!cache) return body;
+  if (cache.model !== model) return { ...body, contents: withInlinePage(body.contents, cache) };
+  const { systemInstruction, tools, ...rest } = body;
+  return { ...rest, cachedContent: cache.name };
+}
+
+// Navigating or closing a tab makes its cached page stale
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  const cache = PAGE_CACHES.get(tabId);
+  if (!cache) return;
+  if ((changeInfo.url && changeInfo.url !== cache.url) || changeInfo.status === 'loading') {
+    invalidatePageCache(tabId);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => invalidatePageCache(tabId));
+
+// Stream a final text-only answer once the tool loop gives up on tools
+async function streamFinalAnswer(fallbackList, { contents, systemInstruction, config, conversationId }, handlers, signal) {
+  const bodyBaseNoTools = { generationConfig: { temperature: 0.5, topP: 0.9, maxOutputTokens: 1024, ...(config || {}) }, systemInstruction };
+  for (const mdl of fallbackList) {
+    try {
+      const res = await streamGenerateContent(mdl, { ...bodyBaseNoTools, contents }, { ...handlers, signal, conversationId, retry: { retries: 1, baseDelay: 500 } });
+      if (!res.ok) continue;
+      const finalText = extractTextFromCandidate(res.json.candidates?.[0]);
+      return { text: finalText, raw: { model: mdl, ...res.json } };
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      // continue
+    }
+  }
+  return null;
+}
+
+// Runs until the model answers without tools. Aborting `signal` stops the in-flight request and
+// any remaining tool calls by throwing an AbortError; `steps` records each tool call as it completes.
+// Progress goes to `emit` (the requesting panel's port) and approvals to `askApproval`; pages
+// read are collected in `sources` for citations. `onTabChange` hears about every move to another
+// tab (openNewTab, switchToTabByTitle, ...).
+async function generateWithToolsLoop({ messages = [], system, config, conversationId, model, tools: toolNames }, tabId, { signal, steps = [], sources = [], emit = () => {}, askApproval, onTabChange = () => {} } = {}) {
+  const tools = selectToolDeclarations(toolNames);
+  const allowedTools = Array.isArray(toolNames) ? new Set(toolNames) : null;
   let { contents, systemInstruction } = buildContentsFromMessages(messages, system);
   let currentTabId = tabId;
+  // Large page content read in this conversation, held in a Gemini context cache
+  let pageCache = await findPageCache(tabId, systemInstruction, conversationId);
+  // Once a cache can no longer be referenced its page becomes ordinary history again
+  const inlinePageCache = () => {
+    contents.unshift(pageCache.turn);
+    pageCache = null;
+  };
 
-  // Preferred + fallbacks to mitigate INTERNAL(500)
-  const preferred = STATE.model || 'gemini-2.0-flash';
-  const fallbackList = Array.from(new Set([
-    preferred,
-    'gemini-2.5-flash',
-    'gemini-1.5-flash'
-  ]));
+  // Preferred + fallbacks to mitigate INTERNAL(500); a one-turn model override has no fallbacks
+  const fallbackList = model ? [model] : getModelFallbacks();
 
   // New: configurable max rounds and loop detection
   const maxRounds = (config && typeof config.maxToolRounds === 'number') ? config.maxToolRounds : STATE.maxToolRounds;
   let lastCallSignature = null;
   let repeatCount = 0;
 
+  // Everything streamed to the panel accumulates into one answer; separate blocks with a blank line
+  let hasStreamed = false;
+  const sendText = (text, newBlock) => {
+    if (newBlock && hasStreamed) text = `\n\n${text}`;
+    hasStreamed = true;
+    emit({ type: 'STREAM_UPDATE', chunk: { text } });
+  };
+  const makeStreamHandlers = () => {
+    let first = true;
+    return {
+      onText: (text) => { sendText(text, first); first = false; },
+      onToolCalls: (toolCalls) => emit({ type: 'STREAM_UPDATE', chunk: { toolCalls } }),
+      onWait: (secs) => emit({ type: 'TOOL_STATUS_UPDATE', status: `⏳ Waiting for quota (${secs}s)...` })
+    };
+  };
+
+  // Move a large page extraction into the context cache, leaving a short note in the tool result
+  const cacheLargePage = async (call, result, callTabId, model) => {
+    const page = pageTextOf(call.name, result);
+    if (!page || page.text.length < PAGE_CACHE_MIN_CHARS) return result;
+    const note = (cache) => ({ ...result, [page.key]: `[${page.text.length} characters of page content from ${cache.url} are provided in the cached page context]` });
+    // Re-reading the cached page (or part of it) needs no new upload
+    if (isPageCacheUsable(pageCache) && pageCache.tabId === callTabId && pageCache.chars >= page.text.length) {
+      let tab = null;
+      try { tab = await chrome.tabs.get(callTabId); } catch {}
+      if (tab?.url === pageCache.url) return note(pageCache);
+    }
+    const cache = await createPageCache({ model, tabId: callTabId, conversationId, text: page.text, systemInstruction, tools, signal });
+    if (!cache) return result;
+    // Only one cache can be referenced per request; an older page goes back into the history
+    if (pageCache) inlinePageCache();
+    pageCache = cache;
+    return note(cache);
+  };
+
   // Limit rounds to avoid infinite loops
   for (let round = 0; round < maxRounds; round++) {
-    // Compress if too large: summarize older history and keep latest turns
-    contents = await compressIfNeeded(contents, 10000);
-
+    if (signal?.aborted) throw abortError();
+    if (pageCache && !isPageCacheUsable(pageCache)) inlinePageCache();
     const bodyBase = { tools, generationConfig: { temperature: 0.6, topP: 0.95, maxOutputTokens: 1024, ...(config || {}) }, systemInstruction };
+    // Keep the request inside the preferred model's context window
+    contents = await fitContextBudget(contents, {
+      model: fallbackList[0],
+      systemInstruction,
+      tools,
+      maxOutputTokens: bodyBase.generationConfig.maxOutputTokens,
+      cache: pageCache,
+      conversationId,
+      signal
+    });
 
     let json = null;
     let usedModel = null;
 
     // Try preferred model; on 500 switch to fallback
     for (const mdl of fallbackList) {
-      const url = `${API_BASE}/models/${encodeURIComponent(mdl)}:generateContent?key=${encodeURIComponent(STATE.apiKey)}`;
-      const body = { ...bodyBase, contents };
-      let resp;
+      let res;
       try {
-        resp = await fetchWithRetry(
-          url,
-          { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) },
-          { retries: 2, baseDelay: 700 }
-        );
+        res = await streamGenerateContent(mdl, withPageCache({ ...bodyBase, contents }, mdl, pageCache), { ...makeStreamHandlers(), signal, conversationId, retry: { retries: 2, baseDelay: 700 } });
+        if (!res.ok && pageCache?.model === mdl && res.status >= 400 && res.status < 500 && res.status !== 429) {
+          // The cache expired or was removed server-side; resend with the page inline
+          inlinePageCache();
+          res = await streamGenerateContent(mdl, { ...bodyBase, contents }, { ...makeStreamHandlers(), signal, conversationId, retry: { retries: 2, baseDelay: 700 } });
+        }
       } catch (e) {
-        chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: `Network error on ${mdl}; trying a fallback model...` } });
+        if (isAbortError(e)) throw e;
+        sendText(`Network error on ${mdl}; trying a fallback model...`, true);
         continue;
       }
 
-      if (!resp.ok) {
-        const status = resp.status;
-        const text = await resp.text();
-        if (status === 500) {
-          chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: `Model ${mdl} returned 500 INTERNAL; retrying with a fallback model...` } });
+      if (!res.ok) {
+        if (res.status === 500) {
+          sendText(`Model ${mdl} returned 500 INTERNAL; retrying with a fallback model...`, true);
           continue; // try next model
         }
-        return { error: `API error ${status}: ${text}` };
+        if (res.status === 429) {
+          // Quota is tracked per model, so a sibling model may still have room
+          if (mdl !== fallbackList[fallbackList.length - 1]) {
+            sendText(`Model ${mdl} is out of quota; trying a fallback model...`, true);
+            continue;
+          }
+          return { error: classifyApiError(res.status, res.text).message };
+        }
+        return { error: `API error ${res.status}: ${res.text}` };
       }
       // Success
-      json = await resp.json();
+      json = res.json;
       usedModel = mdl;
       break;
     }
@@ -1121,33 +2674,13 @@ async function generateWithToolsLoop({ messages = [], system, config }, tabId) {
   // Only force final answer for non-workflow repeats or excessive repeats
   if (repeatCount >= (isLegitimateWorkflow ? 4 : 2)) {
     // We've seen the same tool plan too many times; force a final natural-language answer
-    chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: 'Detected repeated tool plan; forcing a final answer without tools...' } });
+    sendText('Detected repeated tool plan; forcing a final answer without tools...', true);
       contents.push(candidate.content || candidate);
       contents.push({ role: 'user', parts: [{ text: 'Stop calling tools. Provide the final answer concisely based on the gathered data.' }] });
 
-      const bodyBaseNoTools = { generationConfig: { temperature: 0.5, topP: 0.9, maxOutputTokens: 1024, ...(config || {}) }, systemInstruction };
-      let finalJson = null;
-      let finalModel = null;
-      for (const mdl of fallbackList) {
-        const url = `${API_BASE}/models/${encodeURIComponent(mdl)}:generateContent?key=${encodeURIComponent(STATE.apiKey)}`;
-        try {
-          const resp = await fetchWithRetry(
-            url,
-            { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...bodyBaseNoTools, contents }) },
-            { retries: 1, baseDelay: 500 }
-          );
-          if (!resp.ok) continue;
-          finalJson = await resp.json();
-          finalModel = mdl;
-          break;
-        } catch (e) {
-          // continue
-        }
-      }
-      if (finalJson) {
-        const finalText = extractTextFromCandidate(finalJson.candidates?.[0]);
-        return { text: finalText, raw: { model: finalModel, ...finalJson } };
-      }
+      // The cache carries tool declarations, so the tool-free answer gets the page inline
+      const final = await streamFinalAnswer(fallbackList, { contents: withInlinePage(contents, pageCache), systemInstruction, config, conversationId }, makeStreamHandlers(), signal);
+      if (final) return final;
       // If we couldn't get a final answer, continue loop to avoid deadlock
     }
 
@@ -1156,22 +2689,85 @@ async function generateWithToolsLoop({ messages = [], system, config }, tabId) {
       return { text: finalText, raw: { model: usedModel, ...json } };
     }
 
-    // Ask user approval before executing tools
-    const approved = await requestToolApproval(calls, currentTabId);
+    // Ask user approval before executing tools; the targets stay outlined while the panel asks
+    const overlaid = !STATE.autoApprove && showActionOverlay(currentTabId, calls);
+    let approved = false;
+    try {
+      approved = await requestToolApproval(calls, { signal, ask: askApproval });
+    } finally {
+      if (overlaid) hideActionOverlay(currentTabId);
+    }
     if (!approved) {
       return { error: 'User declined requested actions.' };
     }
 
-    // Execute all tool calls sequentially
+    // Execute tool calls in order: runs of read-only calls as one parallel batch, mutating calls alone
     const nameToResultArray = [];
-    for (const call of calls) {
-      // Send status update for current tool
-      chrome.runtime.sendMessage({ type: 'TOOL_STATUS_UPDATE', status: `🔧 Executing ${call.name}...` });
-      const result = await executeTool(call.name, call.args, currentTabId);
-      if (result && (result.newTabId || result.switchedTabId)) {
-        currentTabId = result.newTabId || result.switchedTabId;
+    for (let i = 0; i < calls.length;) {
+      if (signal?.aborted) throw abortError();
+      let end = i + 1;
+      if (isReadOnlyCall(calls[i])) {
+        while (end < calls.length && isReadOnlyCall(calls[end])) end++;
+      }
+      const batch = calls.slice(i, end);
+      // Send status update for current tool(s)
+      emit({ type: 'TOOL_STATUS_UPDATE', status: `🔧 Executing ${batch.map(c => c.name).join(', ')}...` });
+      const batchTabIds = batch.map(call => toolTabId(call, currentTabId));
+      const durations = [];
+      const results = await Promise.all(batch.map(async (call, k) => {
+        if (allowedTools && !allowedTools.has(call.name)) return { error: `Tool ${call.name} is not available for this request.` };
+        // Mutating calls run alone, so at most one overlay is on screen at a time
+        const overlaid = showActionOverlay(batchTabIds[k], [call]);
+        const started = Date.now();
+        try {
+          if (overlaid) await raceAbort(new Promise(resolve => setTimeout(resolve, ACTION_OVERLAY_MS)), signal);
+          return await runToolCancellable(call.name, call.args, batchTabIds[k], signal, conversationId);
+        } finally {
+          durations[k] = Date.now() - started;
+          if (overlaid) hideActionOverlay(batchTabIds[k]);
+        }
+      }));
+      // The timeline shows what the tool returned, before page text moves into the cache
+      const traced = results.map(traceResult);
+      const pageTexts = results.map((result, k) => sourceTextOf(batch[k].name, result));
+      for (let k = 0; k < batch.length; k++) {
+        results[k] = await cacheLargePage(batch[k], results[k], batchTabIds[k], usedModel);
       }
-      nameToResultArray.push({ name: call.name, result });
+      // The page each call ended on, so exports can list the sources the agent visited
+      const tabsAfter = await Promise.all(batch.map((call, k) => {
+        const id = results[k]?.newTabId || results[k]?.switchedTabId || batchTabIds[k];
+        return chrome.tabs.get(id).catch(() => null);
+      }));
+      // Results are recorded in call order so functionResponses line up with functionCalls
+      batch.forEach((call, k) => {
+        const result = results[k];
+        if (result && (result.newTabId || result.switchedTabId)) {
+          currentTabId = result.newTabId || result.switchedTabId;
+          onTabChange(currentTabId);
+        }
+        const step = {
+          name: call.name,
+          args: call.args,
+          ok: !result?.error && result?.ok !== false,
+          tabId: batchTabIds[k],
+          url: tabsAfter[k]?.url || '',
+          title: tabsAfter[k]?.title || '',
+          durationMs: durations[k] || 0,
+          result: traced[k]
+        };
+        steps.push(step);
+        emit({ type: 'TOOL_STEP', step });
+        // Show extracted tables in the panel too; the model gets the same JSON as the tool result
+        if (call.name === 'extractStructuredData' && result?.ok) emit({ type: 'STRUCTURED_RESULT', data: result.data, source: result.source });
+        // Page reads tell the model which number to cite them by
+        if (pageTexts[k] && /^https?:/.test(tabsAfter[k]?.url || '')) {
+          const source = recordSource(sources, tabsAfter[k], pageTexts[k]);
+          nameToResultArray.push({ name: call.name, result: { ...result, sourceIndex: source.index } });
+        } else {
+          nameToResultArray.push({ name: call.name, result });
+        }
+      });
+      i = end;
     }
 
     // Append model functionCall content
@@ -1181,30 +2777,9 @@ async function generateWithToolsLoop({ messages = [], system, config }, tabId) {
   }
 
   // Before erroring, try one final text-only answer
-  chrome.runtime.sendMessage({ type: 'STREAM_UPDATE', chunk: { text: 'Reached max tool rounds; producing a final answer without tools...' } });
-  const bodyBaseNoTools = { generationConfig: { temperature: 0.5, topP: 0.9, maxOutputTokens: 1024, ...(config || {}) }, systemInstruction };
-  let finalJson = null;
-  let finalModel = null;
-  for (const mdl of fallbackList) {
-    const url = `${API_BASE}/models/${encodeURIComponent(mdl)}:generateContent?key=${encodeURIComponent(STATE.apiKey)}`;
-    try {
-      const resp = await fetchWithRetry(
-        url,
-        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...bodyBaseNoTools, contents }) },
-        { retries: 1, baseDelay: 500 }
-      );
-      if (!resp.ok) continue;
-      finalJson = await resp.json();
-      finalModel = mdl;
-      break;
-    } catch (e) {
-      // continue
-    }
-  }
-  if (finalJson) {
-    const finalText = extractTextFromCandidate(finalJson.candidates?.[0]);
-    return { text: finalText, raw: { model: finalModel, ...finalJson } };
-  }
+  sendText('Reached max tool rounds; producing a final answer without tools...', true);
+  const final = await streamFinalAnswer(fallbackList, { contents: withInlinePage(contents, pageCache), systemInstruction, config, conversationId }, makeStreamHandlers(), signal);
+  if (final) return final;
 
   return { error: 'Tool loop exceeded max rounds' };
 }
@@ -1213,4 +2788,69 @@ chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({
     tabId: tab.id
   });
+});
+
+async function getTabSelection(tabId) {
+  try {
+    const ctx = await chrome.tabs.sendMessage(tabId, { type: 'COLLECT_PAGE_CONTEXT' });
+    return ctx?.selection || '';
+  } catch {
+    return '';
+  }
+}
+
+// Keyboard shortcuts (manifest "commands", rebindable at chrome://extensions/shortcuts).
+// sidePanel.open only works inside the shortcut's user gesture, so it is called before any await.
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) return;
+  switch (command) {
+    case 'toggle-side-panel': {
+      // The panel lookup is requested before opening, so it reflects the state before the
+      // shortcut; opening an open panel does nothing, and an open panel closes itself on CLOSE_PANEL
+      const panels = chrome.runtime.getContexts({ contextTypes: ['SIDE_PANEL'], windowIds: [tab.windowId] });
+      const opening = chrome.sidePanel.open({ tabId: tab.id });
+      try {
+        if ((await panels).length) {
+          chrome.runtime.sendMessage({ type: 'CLOSE_PANEL', windowId: tab.windowId }, () => void chrome.runtime.lastError);
+        }
+        await opening;
+      } catch (e) {
+        console.warn('Toggling the side panel failed', e);
+      }
+      break;
+    }
+    case 'send-selection': {
+      const opening = chrome.sidePanel.open({ tabId: tab.id });
+      try {
+        const [selection, { shortcutPromptId }] = await Promise.all([getTabSelection(tab.id), chrome.storage.sync.get('shortcutPromptId'), opening]);
+        const prompt = shortcutPromptId && (await loadPrompts()).find(p => p.id === shortcutPromptId);
+        if (prompt) {
+          await queuePanelAction(tab.windowId, { promptId: prompt.id, values: { selection, url: tab.url || '', title: tab.title || '' } });
+        } else {
+          await queuePanelAction(tab.windowId, { text: selection ? `Summarize selection:\n\n${selection}` : '', run: !!selection });
+        }
+      } catch (e) {
+        // No panel to hand the selection to; leave nothing queued for a later panel
+        console.warn('Sending the selection to the side panel failed', e);
+      }
+      break;
+    }
+    case 'summarize-page': {
+      try {
+        await chrome.sidePanel.open({ tabId: tab.id });
+        await queuePanelAction(tab.windowId, { text: '/summarize', run: true });
+      } catch (e) {
+        console.warn('Opening the side panel failed', e);
+      }
+      break;
+    }
+    case 'stop-task': {
+      // Tasks running in this window; the panel that started each one gets its STREAM_DONE as usual
+      const windowTabs = new Set((await chrome.tabs.query({ windowId: tab.windowId })).map(t => t.id));
+      for (const task of ACTIVE_TASKS) {
+        if (windowTabs.has(task.tabId)) task.controller.abort();
+      }
+      break;
+    }
+  }
 });
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Cited answers (side panel and HTML export)
+// The tool loop records each page it read as a source { index, url, title, text } and the model
+// cites them inline as [n]. Markers become footnote links; the passage a footnote points at is
+// the sentence of the source text that best matches the claim in front of the marker.
+
+const CITATION_RE = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const CITATION_SKIP_TAGS = new Set(['CODE', 'PRE', 'A', 'KBD']);
+const PASSAGE_MAX_CHARS = 300;
+
+function passageWords(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+// The source sentence sharing the most words with the claim
+function bestPassage(sourceText, claim) {
+  const claimWords = new Set(passageWords(claim));
+  if (!sourceText || !claimWords.size) return '';
+  let best = '';
+  let bestScore = 0;
+  for (const sentence of sourceText.split(/(?<=[.!?])\s+|\n+/)) {
+    const words = passageWords(sentence);
+    if (!words.length) continue;
+    const score = words.filter(w => claimWords.has(w)).length;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+  return best.trim().slice(0, PASSAGE_MAX_CHARS);
+}
+
+// The sentence a marker ends, or the whole block when the sentence is too short to match on
+function claimBefore(textNode, offset) {
+  const before = textNode.data.slice(0, offset);
+  const sentence = before.split(/(?<=[.!?])\s+/).pop().replace(CITATION_RE, '').trim();
+  if (sentence.length >= 20) return sentence;
+  const block = textNode.parentElement?.closest('p, li, td, blockquote, h1, h2, h3, h4, h5, h6');
+  return (block?.textContent || before).replace(CITATION_RE, '');
+}
+
+function makeCitationLink(source, passage, onOpen) {
+  const sup = document.createElement('sup');
+  sup.className = 'citation';
+  const a = document.createElement('a');
+  a.href = source.url;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  a.textContent = String(source.index);
+  a.title = [source.title || source.url, passage && `“${passage}”`].filter(Boolean).join('\n');
+  if (onOpen) {
+    a.addEventListener('click', (e) => {
+      e.preventDefault();
+      onOpen(source, passage);
+    });
+  }
+  sup.appendChild(a);
+  return sup;
+}
+
+// Turn [n] markers for known sources into footnote links and list the sources below the answer.
+// `onOpen(source, passage)` handles clicks; without it the links simply open the page.
+function renderCitations(container, sources, { onOpen } = {}) {
+  const byIndex = new Map(sources.map(s => [s.index, s]));
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      for (let el = node.parentElement; el && el !== container; el = el.parentElement) {
+        if (CITATION_SKIP_TAGS.has(el.tagName)) return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  const cited = new Set();
+  for (const node of nodes) {
+    const matches = [...node.data.matchAll(CITATION_RE)]
+      .filter(m => m[1].split(',').some(n => byIndex.has(Number(n))));
+    if (!matches.length) continue;
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    for (const m of matches) {
+      frag.append(node.data.slice(last, m.index));
+      const claim = claimBefore(node, m.index);
+      for (const n of m[1].split(',').map(Number)) {
+        const source = byIndex.get(n);
+        if (!source) continue;
+        cited.add(n);
+        frag.appendChild(makeCitationLink(source, bestPassage(source.text, claim), onOpen));
+      }
+      last = m.index + m[0].length;
+    }
+    frag.append(node.data.slice(last));
+    node.replaceWith(frag);
+  }
+
+  const list = document.createElement('ol');
+  list.className = 'footnotes small';
+  for (const source of sources) {
+    const li = document.createElement('li');
+    li.value = source.index;
+    if (!cited.has(source.index)) li.classList.add('uncited');
+    const a = document.createElement('a');
+    a.href = source.url;
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    a.textContent = source.title || source.url;
+    a.title = source.url;
+    if (onOpen) {
+      a.addEventListener('click', (e) => {
+        e.preventDefault();
+        onOpen(source, '');
+      });
+    }
+    li.appendChild(a);
+    list.appendChild(li);
+  }
+  container.appendChild(list);
+}
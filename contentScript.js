@@ -18,7 +18,9 @@ function summarizeDocument() {
 }
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'COLLECT_PAGE_CONTEXT') {
+  if (msg.type === 'PING') {
+    sendResponse({ ok: true });
+  } else if (msg.type === 'COLLECT_PAGE_CONTEXT') {
     console.log("Content script received COLLECT_PAGE_CONTEXT");
     sendResponse(summarizeDocument());
   } else if (msg.type === 'REQUEST_SELECTION') {
@@ -26,16 +28,116 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     chrome.runtime.sendMessage({ type: 'PREFILL_SELECTION', text: sel || '' });
   } else if (msg.type === 'EXECUTE_TOOL') {
     console.log("Content script received EXECUTE_TOOL", msg.name, msg.args);
-    executeTool(msg.name, msg.args)
+    const controller = new AbortController();
+    activeToolControllers.add(controller);
+    executeTool(msg.name, msg.args, controller.signal)
       .then((result) => sendResponse({ result }))
       .catch((e) => {
         console.error('EXECUTE_TOOL error', e);
         sendResponse({ result: { error: String(e?.message || e) } });
-      });
+      })
+      .finally(() => activeToolControllers.delete(controller));
     return true;
+  } else if (msg.type === 'GET_ELEMENT_RECT') {
+    // Viewport rect for screenshot cropping; the element is scrolled into view first
+    const el = document.querySelector(msg.selector);
+    if (!el || !isVisible(el)) {
+      sendResponse({ ok: false });
+      return;
+    }
+    el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'auto' });
+    requestAnimationFrame(() => {
+      const rect = el.getBoundingClientRect();
+      sendResponse({ ok: true, x: rect.x, y: rect.y, width: rect.width, height: rect.height, viewportWidth: window.innerWidth });
+    });
+    return true;
+  } else if (msg.type === 'HIGHLIGHT_PASSAGE') {
+    const range = findPassageRange(msg.text || '');
+    if (range) showPassage(range);
+    sendResponse({ found: !!range });
+  } else if (msg.type === 'SHOW_ACTION_OVERLAY') {
+    showActionOverlays(msg.calls || []);
+  } else if (msg.type === 'HIDE_ACTION_OVERLAY') {
+    hideActionOverlays();
+  } else if (msg.type === 'CANCEL_TOOLS') {
+    // The agent task was stopped; abandon any long-running tool in this frame
+    for (const controller of activeToolControllers) controller.abort();
+    activeToolControllers.clear();
+    hideActionOverlays();
   }
 });
 
+// Citation footnotes: locate a quoted passage in the page text, ignoring case, punctuation and
+// whitespace differences; falls back to the passage's first and last words
+function findPassageRange(passage) {
+  const words = passage.match(/[\p{L}\p{N}]+/gu) || [];
+  if (!words.length) return null;
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE)$/.test(n.parentElement?.tagName || '') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes = [];
+  const starts = [];
+  let flat = '';
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+    starts.push(flat.length);
+    flat += walker.currentNode.data;
+  }
+  // Words are letters and digits only, so they need no escaping
+  const attempts = [words.slice(0, 12), words.slice(0, 6), words.slice(-6)];
+  let match = null;
+  for (const attempt of attempts) {
+    match = new RegExp(attempt.join('[^\\p{L}\\p{N}]+'), 'iu').exec(flat);
+    if (match) break;
+  }
+  if (!match) return null;
+  const locate = (pos) => {
+    let i = starts.length - 1;
+    while (i > 0 && starts[i] > pos) i--;
+    return [nodes[i], pos - starts[i]];
+  };
+  const range = document.createRange();
+  range.setStart(...locate(match.index));
+  range.setEnd(...locate(match.index + match[0].length));
+  return range;
+}
+
+function showPassage(range) {
+  if (window.CSS?.highlights && typeof Highlight === 'function') {
+    if (!document.getElementById('apx-lens-cite-style')) {
+      const style = document.createElement('style');
+      style.id = 'apx-lens-cite-style';
+      style.textContent = '::highlight(apx-lens-cite) { background: #ffe58f; color: inherit; }';
+      document.head.appendChild(style);
+    }
+    CSS.highlights.set('apx-lens-cite', new Highlight(range));
+  } else {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+  range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// Tools currently running in this frame, so a stopped task can cancel them
+const activeToolControllers = new Set();
+
+// setTimeout-based wait that rejects as soon as the tool is cancelled
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Cancelled'));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new Error('Cancelled'));
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 function isVisible(el) {
   if (!el) return false;
   const style = window.getComputedStyle(el);
@@ -49,23 +151,32 @@ function dispatchInputEvents(el) {
   el.dispatchEvent(new Event('change', { bubbles: true }));
 }
 
-async function waitForSelector(selector, timeoutMs = 8000) {
+async function waitForSelector(selector, timeoutMs = 8000, signal) {
   const existing = document.querySelector(selector);
   if (existing) return existing;
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
+    const finish = () => {
+      clearTimeout(timeout);
       observer.disconnect();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(new Error('Cancelled'));
+    };
+    const timeout = setTimeout(() => {
+      finish();
       reject(new Error('Timeout waiting for selector'));
     }, timeoutMs);
     const observer = new MutationObserver(() => {
       const el = document.querySelector(selector);
       if (el) {
-        clearTimeout(timeout);
-        observer.disconnect();
+        finish();
         resolve(el);
       }
     });
     observer.observe(document.documentElement || document.body, { childList: true, subtree: true });
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
 }
 
@@ -116,7 +227,340 @@ function collectWithSelectorAll(selector, anchorFrom) {
   return items;
 }
 
-async function executeTool(name, args) {
+// Interactive-element map: visible controls numbered by accessibility role and name, so the
+// agent can act on "element 12" instead of guessing CSS selectors. An element keeps its index
+// for as long as it stays in the document; the list itself is rebuilt on every request, so
+// positions, values and focus reflect the page as it is now (after scrolling or typing too).
+const INTERACTIVE_SELECTOR = [
+  'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+  '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])',
+  ...['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'combobox', 'textbox', 'searchbox', 'slider', 'spinbutton']
+    .map(role => `[role="${role}"]`)
+].join(',');
+const MAX_MAP_ELEMENTS = 300;
+const ELEMENT_LABEL_MAX_CHARS = 80;
+
+const elementIndices = new WeakMap();
+const elementsByIndex = new Map();
+let nextElementIndex = 1;
+
+function elementIndex(el) {
+  let index = elementIndices.get(el);
+  if (!index) {
+    index = nextElementIndex++;
+    elementIndices.set(el, index);
+  }
+  elementsByIndex.set(index, el);
+  return index;
+}
+
+function elementRole(el) {
+  const explicit = el.getAttribute('role');
+  if (explicit) return explicit.split(/\s+/)[0];
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'a') return 'link';
+  if (tag === 'button' || tag === 'summary') return 'button';
+  if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'textarea') return 'textbox';
+  if (tag === 'input') {
+    const type = (el.type || 'text').toLowerCase();
+    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+    if (type === 'checkbox' || type === 'radio') return type;
+    if (type === 'range') return 'slider';
+    if (type === 'number') return 'spinbutton';
+    if (type === 'search') return 'searchbox';
+    return 'textbox';
+  }
+  if (el.isContentEditable) return 'textbox';
+  return 'generic';
+}
+
+function clip(text, max) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+// Accessible name, approximately: aria-labelledby, aria-label, <label>, then text and hints
+function elementLabel(el) {
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/)
+    .map(id => id && document.getElementById(id)?.textContent).filter(Boolean).join(' ');
+  const candidates = [
+    labelledBy,
+    el.getAttribute('aria-label'),
+    el.labels ? Array.from(el.labels).map(l => l.textContent).join(' ') : '',
+    el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type) ? el.value : '',
+    el.tagName === 'SELECT' || el.isContentEditable ? '' : el.innerText,
+    el.getAttribute('placeholder'),
+    el.getAttribute('title'),
+    el.getAttribute('alt') || el.querySelector?.('img[alt]')?.alt,
+    el.getAttribute('name')
+  ];
+  return clip(candidates.find(c => c && c.trim()), ELEMENT_LABEL_MAX_CHARS);
+}
+
+function elementValue(el) {
+  if (el.tagName === 'SELECT') return clip(Array.from(el.selectedOptions).map(o => o.text).join(', '), ELEMENT_LABEL_MAX_CHARS);
+  if (el.tagName === 'INPUT') {
+    if (['checkbox', 'radio', 'button', 'submit', 'reset', 'image'].includes(el.type)) return undefined;
+    if (el.type === 'password') return el.value ? '••••' : '';
+    return clip(el.value, ELEMENT_LABEL_MAX_CHARS);
+  }
+  if (el.tagName === 'TEXTAREA') return clip(el.value, ELEMENT_LABEL_MAX_CHARS);
+  if (el.isContentEditable) return clip(el.innerText, ELEMENT_LABEL_MAX_CHARS);
+  return el.getAttribute('aria-valuetext') || el.getAttribute('aria-valuenow') || undefined;
+}
+
+function elementState(el) {
+  const state = [];
+  const aria = (name) => el.getAttribute(`aria-${name}`);
+  if (el.checked || aria('checked') === 'true') state.push('checked');
+  if (aria('checked') === 'mixed' || el.indeterminate) state.push('mixed');
+  if (aria('expanded') === 'true' || (el.tagName === 'SUMMARY' && el.parentElement?.open)) state.push('expanded');
+  if (aria('expanded') === 'false' || (el.tagName === 'SUMMARY' && !el.parentElement?.open)) state.push('collapsed');
+  if (aria('pressed') === 'true') state.push('pressed');
+  if (aria('selected') === 'true') state.push('selected');
+  if (el.disabled || aria('disabled') === 'true') state.push('disabled');
+  if (el.readOnly || aria('readonly') === 'true') state.push('readonly');
+  if (el.required || aria('required') === 'true') state.push('required');
+  if (el === document.activeElement) state.push('focused');
+  return state;
+}
+
+function describeElement(el) {
+  const rect = el.getBoundingClientRect();
+  const entry = { index: elementIndex(el), role: elementRole(el), label: elementLabel(el) };
+  const value = elementValue(el);
+  if (value !== undefined) entry.value = value;
+  entry.state = elementState(el);
+  entry.position = {
+    x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height),
+    inViewport: rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth
+  };
+  return entry;
+}
+
+function buildElementMap() {
+  for (const [index, el] of elementsByIndex) {
+    if (!el.isConnected) elementsByIndex.delete(index);
+  }
+  const seen = new Set();
+  const entries = [];
+  for (const el of document.querySelectorAll(INTERACTIVE_SELECTOR)) {
+    // A control nested in a link or button (e.g. a span[role=button] inside a link) is listed once
+    if (seen.has(el) || (el.parentElement?.closest('a[href], button, [role="button"], [role="link"]') && !el.matches('input, select, textarea'))) continue;
+    if (!isVisible(el) || el.closest('[aria-hidden="true"], [inert]')) continue;
+    seen.add(el);
+    entries.push(describeElement(el));
+  }
+  return entries;
+}
+
+// Element for an index from getInteractiveElements, or an error result for the model
+function elementAt(index) {
+  const el = elementsByIndex.get(Number(index));
+  if (!el || !el.isConnected) {
+    return { error: `No element with index ${index}; the page has changed. Call getInteractiveElements again and use the new indices.` };
+  }
+  if (!isVisible(el)) return { error: `Element ${index} is no longer visible. Call getInteractiveElements again.` };
+  return { el };
+}
+
+// Resolves true when the DOM changed within `ms` after an action
+function domChangedWithin(ms, signal) {
+  return new Promise((resolve, reject) => {
+    let changed = false;
+    const observer = new MutationObserver(() => { changed = true; });
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    delay(ms, signal)
+      .then(() => resolve(changed), reject)
+      .finally(() => observer.disconnect());
+  });
+}
+
+function clickLikeUser(el) {
+  el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'auto' });
+  const rect = el.getBoundingClientRect();
+  const init = { bubbles: true, cancelable: true, composed: true, view: window, clientX: rect.x + rect.width / 2, clientY: rect.y + rect.height / 2 };
+  el.dispatchEvent(new PointerEvent('pointerdown', init));
+  el.dispatchEvent(new MouseEvent('mousedown', init));
+  el.focus?.({ preventScroll: true });
+  el.dispatchEvent(new PointerEvent('pointerup', init));
+  el.dispatchEvent(new MouseEvent('mouseup', init));
+  el.click();
+}
+
+// Set a value through the prototype setter so frameworks that track input values see the change
+function setNativeValue(el, value) {
+  const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : el.tagName === 'SELECT' ? HTMLSelectElement.prototype : HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+}
+
+function typeInto(el, text, clear) {
+  el.scrollIntoView({ block: 'center', behavior: 'auto' });
+  el.focus();
+  if (el.isContentEditable) {
+    if (clear) document.execCommand('selectAll');
+    document.execCommand('insertText', false, text);
+  } else {
+    setNativeValue(el, clear ? text : el.value + text);
+    dispatchInputEvents(el);
+  }
+}
+
+function submitFrom(el) {
+  const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+  const proceed = el.dispatchEvent(new KeyboardEvent('keydown', init));
+  el.dispatchEvent(new KeyboardEvent('keyup', init));
+  if (proceed && el.form) {
+    if (typeof el.form.requestSubmit === 'function') el.form.requestSubmit();
+    else el.form.submit();
+  }
+}
+
+function optionMatches(optionText, wanted) {
+  const a = String(optionText || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  return a === wanted || (wanted && a.includes(wanted));
+}
+
+// Native <select> by value or text; ARIA listboxes and comboboxes by opening them and clicking
+// the option whose text matches
+async function chooseOption(el, option, signal) {
+  const wanted = String(option || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  if (el.tagName === 'SELECT') {
+    const opts = Array.from(el.options);
+    const match = opts.find(o => o.value === option) || opts.find(o => optionMatches(o.text, wanted));
+    if (!match) return { ok: false, error: `No option "${option}"`, options: opts.map(o => o.text.trim()).slice(0, 50) };
+    setNativeValue(el, match.value);
+    dispatchInputEvents(el);
+    return { ok: true, selected: match.text.trim() };
+  }
+  const findOptions = () => {
+    const owned = (el.getAttribute('aria-controls') || el.getAttribute('aria-owns') || '').split(/\s+/)
+      .map(id => id && document.getElementById(id)).filter(Boolean);
+    const scopes = owned.length ? owned : [el, document];
+    for (const scope of scopes) {
+      const found = Array.from(scope.querySelectorAll('[role="option"], [role="menuitem"], [role="menuitemradio"]')).filter(isVisible);
+      if (found.length) return found;
+    }
+    return [];
+  };
+  let opts = findOptions();
+  if (!opts.length) {
+    clickLikeUser(el);
+    await delay(300, signal);
+    opts = findOptions();
+  }
+  const match = opts.find(o => optionMatches(o.getAttribute('aria-label') || o.textContent, wanted));
+  if (!match) return { ok: false, error: `No option "${option}"`, options: opts.map(o => clip(o.textContent, 60)).slice(0, 50) };
+  clickLikeUser(match);
+  return { ok: true, selected: clip(match.textContent, 60) };
+}
+
+// Action overlay: before a mutating tool runs, outline its target and name the action
+// ("Clicking: Submit"), so the user sees what the agent is about to touch. The background
+// worker removes it once the tool has run, or when an approval is declined.
+const ACTION_OVERLAY_VERBS = {
+  clickSelector: 'Clicking',
+  clickLinkByText: 'Clicking',
+  clickElement: 'Clicking',
+  fillSelector: 'Filling',
+  typeIntoElement: 'Typing into',
+  insertText: 'Typing into',
+  selectOption: 'Selecting in',
+  selectElementOption: 'Selecting in'
+};
+let actionOverlays = [];
+
+function queryOrNull(selector) {
+  try { return selector ? document.querySelector(selector) : null; } catch { return null; }
+}
+
+// The element a tool call will act on in this frame, if any
+function actionTarget(name, args) {
+  switch (name) {
+    case 'clickElement':
+    case 'typeIntoElement':
+    case 'selectElementOption': {
+      const el = elementsByIndex.get(Number(args?.index));
+      return el?.isConnected ? el : null;
+    }
+    case 'clickLinkByText': {
+      const q = (args?.text || '').toLowerCase();
+      return Array.from(document.querySelectorAll('a')).find(a => isVisible(a) && (a.textContent || '').toLowerCase().includes(q)) || null;
+    }
+    case 'insertText':
+    case 'pressKey': {
+      const el = queryOrNull(args?.selector) || document.activeElement;
+      return el && el !== document.body && el.tagName !== 'IFRAME' && document.hasFocus() ? el : null;
+    }
+    default:
+      return queryOrNull(args?.selector);
+  }
+}
+
+function actionLabel(name, args, el) {
+  const verb = name === 'pressKey' ? `Pressing ${args?.key || 'key'}` : ACTION_OVERLAY_VERBS[name] || name;
+  const target = el ? (elementLabel(el) || elementRole(el)) : '';
+  let detail = '';
+  if (name === 'fillSelector' || name === 'typeIntoElement' || name === 'insertText') detail = args?.value ?? args?.text;
+  if (name === 'selectOption' || name === 'selectElementOption') detail = args?.option ?? args?.label ?? args?.value;
+  const text = target ? `${verb}: ${target}` : verb;
+  return detail ? `${text} → “${clip(detail, 40)}”` : text;
+}
+
+function positionActionOverlay({ box, tag, el }) {
+  const rect = el ? el.getBoundingClientRect() : null;
+  if (rect) {
+    Object.assign(box.style, { left: `${rect.left - 3}px`, top: `${rect.top - 3}px`, width: `${rect.width + 6}px`, height: `${rect.height + 6}px` });
+    tag.style.left = `${Math.max(0, rect.left - 3)}px`;
+    tag.style.top = rect.top > 28 ? `${rect.top - 28}px` : `${rect.bottom + 6}px`;
+  } else {
+    Object.assign(tag.style, { right: '12px', top: '12px' });
+  }
+}
+
+function repositionActionOverlays() {
+  for (const overlay of actionOverlays) positionActionOverlay(overlay);
+}
+
+function showActionOverlays(calls) {
+  hideActionOverlays();
+  for (const { name, args } of calls) {
+    const el = actionTarget(name, args);
+    // Key presses without a focused element are announced once, by the top frame
+    if (!el && !(name === 'pressKey' && window === window.top && document.activeElement?.tagName !== 'IFRAME')) continue;
+    if (el) el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'auto' });
+    const box = document.createElement('div');
+    box.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;border:3px solid #1a73e8;border-radius:4px;background:rgba(26,115,232,0.12);box-sizing:border-box;';
+    const tag = document.createElement('div');
+    tag.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;max-width:360px;padding:3px 8px;border-radius:4px;background:#1a73e8;color:#fff;font:600 12px/18px system-ui,sans-serif;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;box-shadow:0 1px 4px rgba(0,0,0,0.3);';
+    tag.textContent = actionLabel(name, args, el);
+    const overlay = { box, tag, el };
+    positionActionOverlay(overlay);
+    if (el) document.documentElement.appendChild(box);
+    document.documentElement.appendChild(tag);
+    actionOverlays.push(overlay);
+  }
+  if (actionOverlays.length) {
+    window.addEventListener('scroll', repositionActionOverlays, true);
+    window.addEventListener('resize', repositionActionOverlays);
+  }
+}
+
+function hideActionOverlays() {
+  for (const { box, tag } of actionOverlays) {
+    box.remove();
+    tag.remove();
+  }
+  actionOverlays = [];
+  window.removeEventListener('scroll', repositionActionOverlays, true);
+  window.removeEventListener('resize', repositionActionOverlays);
+}
+
+async function executeTool(name, args, signal) {
   switch (name) {
     case 'scrollTo': {
       const { y } = args || {}; window.scrollTo({ top: y || 0, behavior: 'smooth' }); return { ok: true };
@@ -160,15 +604,15 @@ async function executeTool(name, args) {
         });
 
         // Initial settle for dynamic content
-        await new Promise(resolve => setTimeout(resolve, 1200));
+        await delay(1200, signal);
 
         // Nudge lazy loaders: small scroll down/up
         try {
           const half = Math.max(200, Math.floor(window.innerHeight * 0.5));
           window.scrollBy({ top: half, behavior: 'auto' });
-          await new Promise(r => setTimeout(r, 400));
+          await delay(400, signal);
           window.scrollTo({ top: 0, behavior: 'auto' });
-          await new Promise(r => setTimeout(r, 400));
+          await delay(400, signal);
         } catch {}
 
         // Compute lightweight relevance features
@@ -267,13 +711,13 @@ async function executeTool(name, args) {
             const step = Math.max(300, Math.floor(window.innerHeight * 0.5));
             for (let i = 0; i < 4; i++) {
               window.scrollBy({ top: step, behavior: 'auto' });
-              await new Promise(r => setTimeout(r, 500));
+              await delay(500, signal);
               window.dispatchEvent(new Event('scroll'));
-              await new Promise(r => setTimeout(r, 200));
+              await delay(200, signal);
             }
-            await new Promise(r => setTimeout(r, 400));
+            await delay(400, signal);
             window.scrollTo({ top: 0, behavior: 'auto' });
-            await new Promise(r => setTimeout(r, 300));
+            await delay(300, signal);
             const rescanned = extractByMethod('text');
             if (rescanned && rescanned.trim().length > content.trim().length) {
               usedMethod = `${usedMethod}+scroll`;
@@ -376,7 +820,7 @@ async function executeTool(name, args) {
           // Wait for any pending network requests on first iteration
           if (scrollCount === 0) {
             // Wait for initial page load to settle
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            await delay(3000, signal);
             
             // Set up mutation observer to detect dynamic content
             let newContentDetected = false;
@@ -411,15 +855,17 @@ async function executeTool(name, args) {
               }
             });
             
-            // Wait after triggering load actions
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // If new content was detected, wait a bit more
-            if (newContentDetected) {
-              await new Promise(resolve => setTimeout(resolve, 2000));
+            try {
+              // Wait after triggering load actions
+              await delay(2000, signal);
+              
+              // If new content was detected, wait a bit more
+              if (newContentDetected) {
+                await delay(2000, signal);
+              }
+            } finally {
+              observer.disconnect();
             }
-            
-            observer.disconnect();
           }
           
           // Enhanced selector strategy with better fallbacks
@@ -498,7 +944,7 @@ async function executeTool(name, args) {
           // Strategy 4: Advanced dynamic content detection
           if (!currentText || currentText.length < 200) {
             // Wait for potential dynamic content
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            await delay(2000, signal);
             
             // Try to trigger any lazy loading
             const lazyElements = document.querySelectorAll('[data-lazy], [loading="lazy"], .lazy');
@@ -509,7 +955,7 @@ async function executeTool(name, args) {
             });
             
             // Wait again after triggering lazy loading
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await delay(1000, signal);
             
             // Look for dynamically loaded content containers
              const dynamicSelectors = [
@@ -665,15 +1111,15 @@ async function executeTool(name, args) {
               window.scrollBy({ top: SCROLL_STEP, behavior: 'smooth' });
               
               // Shorter wait time for more responsive scrolling
-              await new Promise(resolve => setTimeout(resolve, 800));
+              await delay(800, signal);
               
               // Trigger lazy loading
               window.dispatchEvent(new Event('scroll'));
-              await new Promise(resolve => setTimeout(resolve, 300));
+              await delay(300, signal);
             } else {
               // If we've reached the bottom, try a final scroll to ensure we got everything
               window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
-              await new Promise(resolve => setTimeout(resolve, 1000));
+              await delay(1000, signal);
             }
             
             scrollCount++;
@@ -712,13 +1158,51 @@ async function executeTool(name, args) {
         return { text: '', error: String(e?.message || e) };
       }
     }
+    case 'getInteractiveElements': {
+      const { onlyInViewport } = args || {};
+      const all = buildElementMap();
+      const entries = onlyInViewport ? all.filter(e => e.position.inViewport) : all;
+      return {
+        elements: entries.slice(0, MAX_MAP_ELEMENTS),
+        total: entries.length,
+        truncated: entries.length > MAX_MAP_ELEMENTS,
+        viewport: { width: window.innerWidth, height: window.innerHeight, scrollY: Math.round(window.scrollY) }
+      };
+    }
+    case 'clickElement': {
+      const { el, error } = elementAt(args?.index);
+      if (error) return { ok: false, error };
+      const element = describeElement(el);
+      const changed = domChangedWithin(500, signal);
+      clickLikeUser(el);
+      return { ok: true, element, changed: await changed };
+    }
+    case 'typeIntoElement': {
+      const { index, text, clear = true, submit = false } = args || {};
+      const { el, error } = elementAt(index);
+      if (error) return { ok: false, error };
+      if (!el.isContentEditable && !el.matches('input, textarea')) {
+        return { ok: false, error: `Element ${index} (${elementRole(el)}) does not accept text.` };
+      }
+      const changed = domChangedWithin(500, signal);
+      typeInto(el, String(text ?? ''), clear);
+      if (submit) submitFrom(el);
+      return { ok: true, element: describeElement(el), changed: await changed };
+    }
+    case 'selectElementOption': {
+      const { index, option } = args || {};
+      const { el, error } = elementAt(index);
+      if (error) return { ok: false, error };
+      const result = await chooseOption(el, option, signal);
+      return { ...result, element: describeElement(el) };
+    }
     case 'navigate': {
       const { url } = args || {}; if (url) location.href = url; return { ok: true };
     }
     case 'waitForSelector': {
       const { selector, timeoutMs } = args || {};
       try {
-        const el = await waitForSelector(selector, typeof timeoutMs === 'number' ? timeoutMs : 8000);
+        const el = await waitForSelector(selector, typeof timeoutMs === 'number' ? timeoutMs : 8000, signal);
         return { ok: !!el };
       } catch (e) {
         return { ok: false, error: String(e?.message || e) };
@@ -874,11 +1358,11 @@ async function executeTool(name, args) {
           
           // Scroll down to potentially load more results
           window.scrollBy({ top: window.innerHeight, behavior: 'smooth' });
-          await new Promise(resolve => setTimeout(resolve, 1500));
+          await delay(1500, signal);
           
           // Trigger scroll events for lazy loading
           window.dispatchEvent(new Event('scroll'));
-          await new Promise(resolve => setTimeout(resolve, 500));
+          await delay(500, signal);
           
           // Extract new results
           const newResults = extractResults();
@@ -897,7 +1381,7 @@ async function executeTool(name, args) {
         // Scroll back to top for better UX
         if (scrollAttempts > 0) {
           window.scrollTo({ top: 0, behavior: 'smooth' });
-          await new Promise(resolve => setTimeout(resolve, 500));
+          await delay(500, signal);
         }
       } catch (e) {
         console.warn('getSearchResults error:', e);
@@ -0,0 +1,195 @@
+// Conversation export (side panel): Markdown, JSON and standalone HTML
+// Uses renderMarkdown (markdown.js) and renderCitations (citations.js) for the HTML body and
+// downloadText (sidepanel.js) to save.
+
+// Pages the agent read or acted on, in first-visit order; the thread's start page comes first
+function threadSources(thread) {
+  const sources = [];
+  const seen = new Set();
+  const add = (url, title) => {
+    if (!/^https?:/.test(url || '') || seen.has(url)) return;
+    seen.add(url);
+    sources.push({ url, title: title || '' });
+  };
+  add(thread.url);
+  for (const m of thread.messages || []) {
+    for (const step of m.trace || []) add(step.url, step.title);
+    if (m.structured?.source) add(m.structured.source.url, m.structured.source.title);
+  }
+  return sources;
+}
+
+function exportFilename(thread, ext) {
+  const base = String(thread.title || 'conversation').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 60) || 'conversation';
+  const date = new Date(thread.updatedAt || Date.now()).toISOString().slice(0, 10);
+  return `${base}-${date}.${ext}`;
+}
+
+function formatExportDate(ts) {
+  return ts ? new Date(ts).toLocaleString() : '';
+}
+
+// Message text is already Markdown with LaTeX math, so it is written out unchanged
+function threadToMarkdown(thread) {
+  const lines = [`# ${thread.title || 'Conversation'}`, ''];
+  if (thread.url) lines.push(`- Started on: ${thread.url}`);
+  lines.push(`- Created: ${formatExportDate(thread.createdAt)}`, `- Exported: ${formatExportDate(Date.now())}`, '', '---', '');
+  for (const m of thread.messages || []) {
+    lines.push(m.role === 'user' ? '**You:**' : '**Assistant:**', '');
+    if (m.structured) {
+      lines.push('```json', JSON.stringify(m.structured.data, null, 2), '```');
+    } else {
+      lines.push(m.content || '');
+    }
+    // Reference definitions turn the answer's [n] citations into links
+    if (m.sources?.length) {
+      lines.push('', ...m.sources.map(s => `[${s.index}]: ${s.url} "${(s.title || '').replace(/"/g, "'")}"`));
+    }
+    if (m.attachments?.length) {
+      lines.push('', `_Attached: ${m.attachments.map(a => a.name).join(', ')}_`);
+    }
+    if (m.trace?.length) {
+      lines.push('', `_Tools used: ${m.trace.map(s => `${s.name}${s.ok ? '' : ' (failed)'}`).join(', ')}_`);
+    }
+    lines.push('');
+  }
+  const sources = threadSources(thread);
+  if (sources.length) {
+    lines.push('## Sources', '');
+    sources.forEach((s, i) => lines.push(`${i + 1}. [${(s.title || s.url).replace(/[[\]]/g, '')}](${s.url})`));
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function threadToJson(thread) {
+  return JSON.stringify({
+    format: 'apx-lens-thread',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    thread: {
+      id: thread.id,
+      title: thread.title,
+      url: thread.url,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      usage: thread.usage
+    },
+    // Attachment contents would dwarf the conversation; names and sizes are kept
+    messages: (thread.messages || []).map(m => (m.attachments
+      ? { ...m, attachments: m.attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })) }
+      : m)),
+    sources: threadSources(thread)
+  }, null, 2);
+}
+
+const EXPORT_HTML_STYLES = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #2d2d2d; background: #f9f6ef; max-width: 820px; margin: 24px auto; padding: 0 16px; }
+.meta { color: #8a8a8a; font-size: 12px; }
+.msg { border: 1px solid #e6e6e6; border-radius: 12px; padding: 10px 14px; margin: 10px 0; background: #fff; }
+.msg.user { background: #e0f7fa; white-space: pre-wrap; }
+.msg.assistant { background: #f1f8e9; }
+.role { font-size: 12px; font-weight: 600; color: #5b5b5b; margin-bottom: 4px; white-space: normal; }
+.tools { color: #8a8a8a; font-size: 12px; margin-top: 6px; }
+pre { background: #fbfbfb; border: 1px solid #e6e6e6; border-radius: 8px; padding: 8px 10px; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; }
+table { border-collapse: collapse; font-size: 12px; }
+th, td { border: 1px solid #e6e6e6; padding: 4px 6px; text-align: left; vertical-align: top; }
+blockquote { margin: 0; padding: 2px 10px; border-left: 3px solid #d9d9d9; color: #8a8a8a; }
+.code-header { font-size: 12px; color: #8a8a8a; }
+sup.citation a { text-decoration: none; padding: 0 2px; }
+.footnotes { font-size: 12px; color: #5b5b5b; border-top: 1px solid #e6e6e6; padding-top: 6px; }
+.tok-keyword { color: #8839ef; } .tok-string { color: #40a02b; } .tok-number { color: #d35400; } .tok-comment { color: #8a8a8a; font-style: italic; }
+`;
+
+async function loadKatexCss() {
+  try {
+    const resp = await fetch(chrome.runtime.getURL('lib/katex/katex.min.css'));
+    return resp.ok ? await resp.text() : '';
+  } catch {
+    return '';
+  }
+}
+
+// The body is built with the same DOM renderer as the panel, so model text stays escaped
+async function threadToHtml(thread) {
+  const body = document.createElement('div');
+  const h1 = document.createElement('h1');
+  h1.textContent = thread.title || 'Conversation';
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = [thread.url && `Started on ${thread.url}`, `Created ${formatExportDate(thread.createdAt)}`, `Exported ${formatExportDate(Date.now())}`].filter(Boolean).join(' · ');
+  body.append(h1, meta);
+
+  for (const m of thread.messages || []) {
+    const div = document.createElement('div');
+    div.className = `msg ${m.role}`;
+    const role = document.createElement('div');
+    role.className = 'role';
+    role.textContent = m.role === 'user' ? 'You' : 'Assistant';
+    const content = document.createElement('div');
+    if (m.structured) renderMarkdown(content, '```json\n' + JSON.stringify(m.structured.data, null, 2) + '\n```');
+    else if (m.role === 'assistant') renderMarkdown(content, m.content);
+    else content.textContent = m.content;
+    if (m.sources?.length) renderCitations(content, m.sources);
+    div.append(role, content);
+    if (m.attachments?.length) {
+      const files = document.createElement('div');
+      files.className = 'tools';
+      files.textContent = `Attached: ${m.attachments.map(a => a.name).join(', ')}`;
+      div.appendChild(files);
+    }
+    if (m.trace?.length) {
+      const tools = document.createElement('div');
+      tools.className = 'tools';
+      tools.textContent = `Tools used: ${m.trace.map(s => `${s.name}${s.ok ? '' : ' (failed)'}`).join(', ')}`;
+      div.appendChild(tools);
+    }
+    body.appendChild(div);
+  }
+
+  const sources = threadSources(thread);
+  if (sources.length) {
+    const h2 = document.createElement('h2');
+    h2.textContent = 'Sources';
+    const ol = document.createElement('ol');
+    for (const s of sources) {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = s.url;
+      a.textContent = s.title || s.url;
+      li.appendChild(a);
+      ol.appendChild(li);
+    }
+    body.append(h2, ol);
+  }
+  // Copy buttons do nothing without the panel's script
+  body.querySelectorAll('button').forEach(b => b.remove());
+
+  const title = document.createElement('title');
+  title.textContent = thread.title || 'Conversation';
+  const css = (await loadKatexCss()).replace(/<\/style/gi, '<\\/style');
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+${title.outerHTML}
+<style>${css}</style>
+<style>${EXPORT_HTML_STYLES}</style>
+</head>
+<body>
+${body.innerHTML}
+</body>
+</html>
+`;
+}
+
+async function exportThread(thread, format) {
+  if (format === 'md') {
+    downloadText(exportFilename(thread, 'md'), threadToMarkdown(thread), 'text/markdown');
+  } else if (format === 'json') {
+    downloadText(exportFilename(thread, 'json'), threadToJson(thread), 'application/json');
+  } else if (format === 'html') {
+    downloadText(exportFilename(thread, 'html'), await threadToHtml(thread), 'text/html');
+  }
+}
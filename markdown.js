@@ -0,0 +1,398 @@
+// Markdown rendering for assistant messages (side panel)
+// Output is built node by node and model text is only ever inserted as text, so a reply cannot
+// inject HTML or script into the extension page. Math ($...$, $$...$$, \(...\), \[...\]) goes
+// through KaTeX, which escapes its own output.
+
+const SAFE_LINK_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+const MD_LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_FENCE_RE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline syntax, earliest match wins; code spans come first so nothing inside them is parsed
+const MD_INLINE_SOURCE = [
+  '(?<ticks>`+)(?<code>[\\s\\S]*?[^`])\\k<ticks>(?!`)',
+  '\\$\\$(?<dmath>[\\s\\S]+?)\\$\\$',
+  '\\\\\\[(?<dmath2>[\\s\\S]+?)\\\\\\]',
+  '\\\\\\((?<imath2>[\\s\\S]+?)\\\\\\)',
+  '\\$(?=\\S)(?<imath>[^$\\n]*?\\S)\\$(?!\\d)',
+  '!?\\[(?<ltext>[^\\]]*)\\]\\(\\s*<?(?<lurl>[^\\s)>]+)>?(?:\\s+"[^"]*")?\\s*\\)',
+  '<(?<auto>(?:https?:\\/\\/|mailto:)[^\\s>]+)>',
+  '(?<bare>https?:\\/\\/[^\\s<]*[^\\s<.,:;"\')\\]!?])',
+  '(?<smark>\\*\\*|__)(?=\\S)(?<strong>[\\s\\S]*?\\S)\\k<smark>',
+  '~~(?=\\S)(?<strike>[\\s\\S]*?\\S)~~',
+  '\\*(?=\\S)(?<em>[^*]*?\\S)\\*',
+  '(?<![\\w])_(?=\\S)(?<em2>[^_]*?\\S)_(?![\\w])',
+  '\\\\(?<esc>[\\\\`*_{}\\[\\]()#+\\-.!|$~<>])'
+].join('|');
+
+function renderMarkdown(container, text) {
+  container.textContent = '';
+  container.classList.add('markdown');
+  renderMdBlocks(container, String(text || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+function leadingSpaces(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function isMdBlockStart(line, next) {
+  return MD_HEADING_RE.test(line) || MD_FENCE_RE.test(line) || MD_HR_RE.test(line) ||
+    MD_LIST_RE.test(line) || /^\s{0,3}>/.test(line) || isMdTableStart(line, next);
+}
+
+function isMdTableStart(line, next) {
+  return line.includes('|') && next !== undefined && next.includes('-') && MD_TABLE_SEP_RE.test(next);
+}
+
+function renderMdBlocks(container, lines) {
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const fence = line.match(MD_FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(marker[0].repeat(marker.length)) && !lines[i].trim().replace(/[`~]/g, ''))) {
+        code.push(lines[i++]);
+      }
+      i++; // closing fence
+      container.appendChild(renderCodeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    // Display math on lines of its own
+    const open = line.trim().match(/^(\$\$|\\\[)/);
+    if (open) {
+      const close = open[1] === '$$' ? '$$' : '\\]';
+      let body = line.trim().slice(2);
+      let j = i;
+      while (!body.includes(close) && j + 1 < lines.length) body += '\n' + lines[++j];
+      const end = body.indexOf(close);
+      if (end >= 0 && !body.slice(end + 2).trim()) {
+        container.appendChild(renderMdMath(body.slice(0, end), true));
+        i = j + 1;
+        continue;
+      }
+    }
+
+    const heading = line.match(MD_HEADING_RE);
+    if (heading) {
+      const h = document.createElement(`h${heading[1].length}`);
+      renderMdInline(h, heading[2]);
+      container.appendChild(h);
+      i++;
+      continue;
+    }
+
+    if (MD_HR_RE.test(line)) {
+      container.appendChild(document.createElement('hr'));
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+      const blockquote = document.createElement('blockquote');
+      renderMdBlocks(blockquote, quoted);
+      container.appendChild(blockquote);
+      continue;
+    }
+
+    if (isMdTableStart(line, lines[i + 1])) {
+      i = renderMdTable(container, lines, i);
+      continue;
+    }
+
+    if (MD_LIST_RE.test(line)) {
+      i = renderMdList(container, lines, i);
+      continue;
+    }
+
+    // Paragraph: single newlines are kept as line breaks, as in chat
+    const para = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isMdBlockStart(lines[i], lines[i + 1]) && !/^\s*(\$\$|\\\[)/.test(lines[i])) {
+      para.push(lines[i++]);
+    }
+    const p = document.createElement('p');
+    renderMdInline(p, para.join('\n'));
+    container.appendChild(p);
+  }
+}
+
+function renderMdList(container, lines, start) {
+  const first = lines[start].match(MD_LIST_RE);
+  const indent = leadingSpaces(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const list = document.createElement(ordered ? 'ol' : 'ul');
+  if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+
+  let i = start;
+  while (i < lines.length) {
+    const m = lines[i].match(MD_LIST_RE);
+    if (!m || leadingSpaces(m[1]) !== indent || /\d/.test(m[2]) !== ordered) break;
+    // Nested content is dedented to the item's content column
+    const contentIndent = indent + m[2].length + 1;
+    const itemLines = [m[3]];
+    i++;
+    while (i < lines.length) {
+      const l = lines[i];
+      if (!l.trim()) {
+        const next = lines[i + 1];
+        if (next && next.trim() && leadingSpaces(next) > indent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        // A blank line between items of the same list does not end it
+        const nextItem = next?.match(MD_LIST_RE);
+        if (nextItem && leadingSpaces(nextItem[1]) === indent) i++;
+        break;
+      }
+      if (leadingSpaces(l) > indent) {
+        itemLines.push(l.replace(/^\s+/, (ws) => ' '.repeat(Math.max(0, leadingSpaces(ws) - contentIndent))));
+        i++;
+      } else if (!isMdBlockStart(l, lines[i + 1]) && itemLines[itemLines.length - 1].trim()) {
+        itemLines.push(l.trim()); // lazy continuation of the item's paragraph
+        i++;
+      } else {
+        break;
+      }
+    }
+    const li = document.createElement('li');
+    const task = itemLines[0].match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) {
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.disabled = true;
+      box.checked = task[1] !== ' ';
+      li.appendChild(box);
+      itemLines[0] = task[2];
+    }
+    renderMdBlocks(li, itemLines);
+    list.appendChild(li);
+  }
+  container.appendChild(list);
+  return i;
+}
+
+// Split a table row on unescaped pipes outside code spans
+function splitMdRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  const cells = [];
+  let cell = '';
+  let inCode = false;
+  for (let k = 0; k < row.length; k++) {
+    const ch = row[k];
+    if (ch === '\\' && row[k + 1] === '|') { cell += '|'; k++; continue; }
+    if (ch === '`') inCode = !inCode;
+    if (ch === '|' && !inCode) { cells.push(cell.trim()); cell = ''; continue; }
+    cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function renderMdTable(container, lines, start) {
+  const header = splitMdRow(lines[start]);
+  const aligns = splitMdRow(lines[start + 1]).map((c) => {
+    const left = c.startsWith(':');
+    const right = c.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+  });
+  const wrap = document.createElement('div');
+  wrap.className = 'table-wrap';
+  const table = document.createElement('table');
+  table.className = 'data-table';
+  const headRow = table.createTHead().insertRow();
+  header.forEach((text, c) => {
+    const th = document.createElement('th');
+    if (aligns[c]) th.style.textAlign = aligns[c];
+    renderMdInline(th, text);
+    headRow.appendChild(th);
+  });
+  const tbody = table.createTBody();
+  let i = start + 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    const cells = splitMdRow(lines[i++]);
+    const tr = tbody.insertRow();
+    header.forEach((_, c) => {
+      const td = tr.insertCell();
+      if (aligns[c]) td.style.textAlign = aligns[c];
+      renderMdInline(td, cells[c] || '');
+    });
+  }
+  wrap.appendChild(table);
+  container.appendChild(wrap);
+  return i;
+}
+
+function appendMdText(container, text) {
+  const pieces = text.split('\n');
+  pieces.forEach((piece, k) => {
+    if (k > 0) container.appendChild(document.createElement('br'));
+    if (piece) container.appendChild(document.createTextNode(piece));
+  });
+}
+
+function safeLinkUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return SAFE_LINK_PROTOCOLS.has(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function appendMdLink(container, label, url) {
+  const href = safeLinkUrl(url);
+  if (!href) {
+    appendMdText(container, label || url);
+    return;
+  }
+  const a = document.createElement('a');
+  a.href = href;
+  a.target = '_blank';
+  a.rel = 'noopener noreferrer';
+  a.title = href;
+  renderMdInline(a, label || url);
+  container.appendChild(a);
+}
+
+function renderMdMath(math, display) {
+  const el = document.createElement(display ? 'div' : 'span');
+  if (display) el.className = 'math-display';
+  if (window.katex) {
+    try {
+      window.katex.render(math, el, { throwOnError: false, displayMode: display });
+      return el;
+    } catch (e) {
+      // fall through to the raw source
+    }
+  }
+  el.textContent = display ? `$$${math}$$` : `$${math}$`;
+  return el;
+}
+
+function renderMdInline(container, text) {
+  const re = new RegExp(MD_INLINE_SOURCE, 'g');
+  let idx = 0;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m.index > idx) appendMdText(container, text.slice(idx, m.index));
+    const g = m.groups;
+    if (g.code !== undefined) {
+      const code = document.createElement('code');
+      code.textContent = g.code.replace(/^ (.*) $/s, '$1');
+      container.appendChild(code);
+    } else if (g.dmath !== undefined || g.dmath2 !== undefined) {
+      container.appendChild(renderMdMath(g.dmath ?? g.dmath2, true));
+    } else if (g.imath !== undefined || g.imath2 !== undefined) {
+      container.appendChild(renderMdMath(g.imath ?? g.imath2, false));
+    } else if (g.lurl !== undefined) {
+      appendMdLink(container, g.ltext, g.lurl);
+    } else if (g.auto !== undefined || g.bare !== undefined) {
+      appendMdLink(container, '', g.auto ?? g.bare);
+    } else if (g.strong !== undefined) {
+      const el = document.createElement('strong');
+      renderMdInline(el, g.strong);
+      container.appendChild(el);
+    } else if (g.strike !== undefined) {
+      const el = document.createElement('del');
+      renderMdInline(el, g.strike);
+      container.appendChild(el);
+    } else if (g.em !== undefined || g.em2 !== undefined) {
+      const el = document.createElement('em');
+      renderMdInline(el, g.em ?? g.em2);
+      container.appendChild(el);
+    } else if (g.esc !== undefined) {
+      appendMdText(container, g.esc);
+    }
+    idx = m.index + m[0].length;
+  }
+  if (idx < text.length) appendMdText(container, text.slice(idx));
+}
+
+// Code blocks: lightweight token highlighting plus a copy button
+const CODE_KEYWORDS = new Set((
+  'abstract and as async await bool boolean break byte case catch char class const continue def default del delete do double ' +
+  'elif else enum except export extends false final finally float fn for from func function go if impl import in instanceof ' +
+  'int interface is lambda let long match mod module mut new nil none not null or package pass private protected pub public ' +
+  'raise return select self static string struct super switch this throw throws trait true try type typeof undefined unsigned ' +
+  'use var void where while with yield select insert update delete from where join group order by limit into values create table'
+).split(' '));
+const HASH_COMMENT_LANGS = new Set(['py', 'python', 'sh', 'bash', 'shell', 'zsh', 'rb', 'ruby', 'yaml', 'yml', 'toml', 'r', 'perl', 'pl', 'ps1', 'powershell', 'dockerfile', 'makefile', 'ini', 'conf']);
+const PLAIN_LANGS = new Set(['', 'text', 'txt', 'plain', 'plaintext', 'md', 'markdown', 'csv']);
+
+function highlightCode(codeEl, code, lang) {
+  const l = lang.toLowerCase();
+  if (PLAIN_LANGS.has(l)) {
+    codeEl.textContent = code;
+    return;
+  }
+  let comment = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  if (HASH_COMMENT_LANGS.has(l)) comment = '#[^\\n]*';
+  else if (l === 'sql') comment = '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  else if (['html', 'xml', 'svg', 'vue'].includes(l)) comment = '<!--[\\s\\S]*?-->';
+  const re = new RegExp(
+    `(?<comment>${comment})|(?<string>"(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(?<number>\\b\\d+(?:\\.\\d+)?\\b)|(?<word>\\b[A-Za-z_]\\w*\\b)`,
+    'g'
+  );
+  const caseInsensitive = l === 'sql';
+  let idx = 0;
+  let m;
+  const span = (cls, text) => {
+    const s = document.createElement('span');
+    s.className = cls;
+    s.textContent = text;
+    codeEl.appendChild(s);
+  };
+  while ((m = re.exec(code)) !== null) {
+    const g = m.groups;
+    if (g.word !== undefined && !CODE_KEYWORDS.has(caseInsensitive ? g.word.toLowerCase() : g.word)) continue;
+    if (m.index > idx) codeEl.appendChild(document.createTextNode(code.slice(idx, m.index)));
+    if (g.comment !== undefined) span('tok-comment', m[0]);
+    else if (g.string !== undefined) span('tok-string', m[0]);
+    else if (g.number !== undefined) span('tok-number', m[0]);
+    else span('tok-keyword', m[0]);
+    idx = m.index + m[0].length;
+  }
+  if (idx < code.length) codeEl.appendChild(document.createTextNode(code.slice(idx)));
+}
+
+function renderCodeBlock(code, lang) {
+  const wrap = document.createElement('div');
+  wrap.className = 'code-block';
+  const header = document.createElement('div');
+  header.className = 'code-header small';
+  const label = document.createElement('span');
+  label.textContent = lang || 'code';
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'btn ghost';
+  copyBtn.textContent = 'Copy';
+  copyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      copyBtn.textContent = 'Copied';
+    } catch {
+      copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+  });
+  header.append(label, copyBtn);
+  const pre = document.createElement('pre');
+  const codeEl = document.createElement('code');
+  highlightCode(codeEl, code, lang || '');
+  pre.appendChild(codeEl);
+  wrap.append(header, pre);
+  return wrap;
+}
@@ -1,18 +1,165 @@
 document.addEventListener('DOMContentLoaded', () => {
   const apiKeyInput = document.getElementById('apiKey');
+  const geminiApiBaseInput = document.getElementById('geminiApiBase');
   const modelSelect = document.getElementById('model');
   const saveButton = document.getElementById('save');
   const testButton = document.getElementById('test');
   const statusDiv = document.getElementById('status');
   const autoApproveCheckbox = document.getElementById('autoApproveTools');
+  const showActionOverlayCheckbox = document.getElementById('showActionOverlay');
   const maxToolRoundsInput = document.getElementById('maxToolRounds');
+  const dailyTokenBudgetInput = document.getElementById('dailyTokenBudget');
+  const dailyUsageText = document.getElementById('dailyUsage');
+  const modelRateLimitsInput = document.getElementById('modelRateLimits');
+  const contextTokenLimitInput = document.getElementById('contextTokenLimit');
+
+  // Rate limits are stored as { model: rpm } and edited as model=rpm lines
+  function parseRateLimits(text) {
+    const limits = {};
+    for (const line of text.split('\n')) {
+      const m = line.match(/^\s*([^=\s]+)\s*=\s*(\d+)\s*$/);
+      if (m && +m[2] > 0) limits[m[1]] = +m[2];
+    }
+    return limits;
+  }
+
+  function formatRateLimits(limits) {
+    return Object.entries(limits || {}).map(([model, rpm]) => `${model}=${rpm}`).join('\n');
+  }
+  const providerSelect = document.getElementById('provider');
+  const providerBaseUrlInput = document.getElementById('providerBaseUrl');
+  const providerBaseUrlHint = document.getElementById('providerBaseUrlHint');
+  const providerApiKeyInput = document.getElementById('providerApiKey');
+  const providerModelInput = document.getElementById('providerModel');
+  const providerModelsList = document.getElementById('providerModels');
+  const modelInfo = document.getElementById('modelInfo');
+
+  const PROVIDER_HINTS = {
+    openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', hint: 'Any server exposing /chat/completions (OpenAI, vLLM, LM Studio, ...)' },
+    ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.1', hint: 'Start Ollama with OLLAMA_ORIGINS=chrome-extension://* so it accepts extension requests' }
+  };
+
+  // Show only the fields that apply to the selected provider
+  function updateProviderFields() {
+    const provider = providerSelect.value;
+    document.querySelectorAll('[data-provider]').forEach((el) => {
+      el.hidden = !el.dataset.provider.split(' ').includes(provider);
+    });
+    const hints = PROVIDER_HINTS[provider];
+    if (hints) {
+      providerBaseUrlInput.placeholder = hints.baseUrl;
+      providerModelInput.placeholder = hints.model;
+      providerBaseUrlHint.textContent = hints.hint;
+    }
+  }
+  providerSelect.addEventListener('change', () => {
+    updateProviderFields();
+    loadModels();
+  });
+
+  function currentConnection() {
+    const provider = providerSelect.value;
+    return {
+      provider,
+      apiKey: provider === 'gemini' ? apiKeyInput.value.trim() : providerApiKeyInput.value,
+      baseUrl: provider === 'gemini' ? geminiApiBaseInput.value.trim() : providerBaseUrlInput.value.trim(),
+      model: provider === 'gemini' ? modelSelect.value : providerModelInput.value.trim()
+    };
+  }
+
+  function formatLimit(n) {
+    if (!n) return '?';
+    return n >= 1000000 ? `${+(n / 1048576).toFixed(1)}M` : `${Math.round(n / 1024)}k`;
+  }
+
+  function describeModel(m) {
+    return `${m.id} — in ${formatLimit(m.inputTokenLimit)} / out ${formatLimit(m.outputTokenLimit)}${m.functionCalling ? '' : ' · no tools'}`;
+  }
+
+  // Rebuild the model list, keeping the saved choice even if the API no longer lists it
+  function renderModels(models, selected) {
+    if (providerSelect.value !== 'gemini') {
+      providerModelsList.innerHTML = '';
+      for (const m of models) {
+        const opt = document.createElement('option');
+        opt.value = m.id;
+        providerModelsList.appendChild(opt);
+      }
+      return;
+    }
+    modelSelect.innerHTML = '';
+    for (const m of models) {
+      const opt = document.createElement('option');
+      opt.value = m.id;
+      opt.textContent = describeModel(m);
+      modelSelect.appendChild(opt);
+    }
+    if (selected && !models.some(m => m.id === selected)) {
+      const opt = document.createElement('option');
+      opt.value = selected;
+      opt.textContent = models.length ? `${selected} (not listed by the API)` : selected;
+      modelSelect.prepend(opt);
+    }
+    if (selected) modelSelect.value = selected;
+    updateModelInfo(models);
+  }
+
+  function updateModelInfo(models) {
+    const m = models.find(x => x.id === modelSelect.value);
+    modelInfo.textContent = m
+      ? `${m.displayName}: input ${m.inputTokenLimit?.toLocaleString() || '?'} tokens, output ${m.outputTokenLimit?.toLocaleString() || '?'} tokens, function calling ${m.functionCalling ? 'supported' : 'not supported'}.`
+      : '';
+  }
+
+  let loadedModels = [];
+  modelSelect.addEventListener('change', () => updateModelInfo(loadedModels));
+
+  function loadModels() {
+    const conn = currentConnection();
+    if (conn.provider === 'gemini' && !conn.apiKey) return;
+    chrome.runtime.sendMessage({ type: 'LIST_MODELS', ...conn }, (res) => {
+      if (chrome.runtime.lastError || !res) return;
+      if (!res.ok) {
+        if (conn.provider === 'gemini') modelInfo.textContent = `Could not load models: ${res.error.message}`;
+        return;
+      }
+      loadedModels = res.models;
+      renderModels(res.models, conn.model);
+    });
+  }
+  apiKeyInput.addEventListener('change', loadModels);
+  geminiApiBaseInput.addEventListener('change', loadModels);
 
   // Load saved settings
-  chrome.storage.sync.get(['geminiApiKey', 'geminiModel', 'autoApproveTools', 'maxToolRounds'], (result) => {
+  chrome.storage.sync.get(['geminiApiKey', 'geminiApiBase', 'geminiModel', 'llmProvider', 'providerBaseUrl', 'providerApiKey', 'providerModel', 'autoApproveTools', 'showActionOverlay', 'maxToolRounds', 'dailyTokenBudget', 'modelRateLimits', 'contextTokenLimit'], (result) => {
     apiKeyInput.value = result.geminiApiKey || '';
-    modelSelect.value = result.geminiModel || modelSelect.value;
+    geminiApiBaseInput.value = result.geminiApiBase || '';
+    if (result.geminiModel) renderModels([], result.geminiModel);
+    providerSelect.value = result.llmProvider || 'gemini';
+    providerBaseUrlInput.value = result.providerBaseUrl || '';
+    providerApiKeyInput.value = result.providerApiKey || '';
+    providerModelInput.value = result.providerModel || '';
+    updateProviderFields();
+    // Start from the last fetched list, then refresh it from the API
+    chrome.storage.local.get('geminiModels', ({ geminiModels }) => {
+      if (geminiModels?.length && providerSelect.value === 'gemini') {
+        loadedModels = geminiModels;
+        renderModels(geminiModels, modelSelect.value);
+      }
+      loadModels();
+    });
     autoApproveCheckbox.checked = !!result.autoApproveTools;
+    showActionOverlayCheckbox.checked = result.showActionOverlay !== false;
     maxToolRoundsInput.value = result.maxToolRounds || 15;
+    dailyTokenBudgetInput.value = result.dailyTokenBudget || 0;
+    modelRateLimitsInput.value = formatRateLimits(result.modelRateLimits);
+    contextTokenLimitInput.value = result.contextTokenLimit || 0;
+  });
+
+  chrome.runtime.sendMessage({ type: 'GET_USAGE' }, (res) => {
+    if (chrome.runtime.lastError || !res?.ok) return;
+    const used = res.daily.prompt + res.daily.output;
+    dailyUsageText.textContent += ` Used today: ${used.toLocaleString()} tokens (~$${res.daily.cost.toFixed(4)}).`;
   });
 
   // Save settings
@@ -21,23 +168,173 @@ document.addEventListener('DOMContentLoaded', () => {
     const model = modelSelect.value;
     const autoApprove = !!autoApproveCheckbox.checked;
     const maxToolRounds = parseInt(maxToolRoundsInput.value) || 15;
+    const dailyTokenBudget = Math.max(0, parseInt(dailyTokenBudgetInput.value) || 0);
     chrome.storage.sync.set({ 
       geminiApiKey: apiKey, 
+      geminiApiBase: geminiApiBaseInput.value.trim(),
       geminiModel: model, 
+      llmProvider: providerSelect.value,
+      providerBaseUrl: providerBaseUrlInput.value.trim(),
+      providerApiKey: providerApiKeyInput.value,
+      providerModel: providerModelInput.value.trim(),
       autoApproveTools: autoApprove,
-      maxToolRounds: maxToolRounds
+      showActionOverlay: !!showActionOverlayCheckbox.checked,
+      maxToolRounds: maxToolRounds,
+      dailyTokenBudget: dailyTokenBudget,
+      modelRateLimits: parseRateLimits(modelRateLimitsInput.value),
+      contextTokenLimit: Math.max(0, parseInt(contextTokenLimitInput.value) || 0)
     }, () => {
       statusDiv.textContent = 'Settings saved!';
       setTimeout(() => { statusDiv.textContent = ''; }, 2000);
     });
   });
 
-  // Test API Key (placeholder for now)
+  // Prompt library (prompts.js); saved independently of the settings above
+  const promptList = document.getElementById('promptList');
+  const promptTitleInput = document.getElementById('promptTitle');
+  const promptBodyInput = document.getElementById('promptBody');
+  const promptModelInput = document.getElementById('promptModel');
+  const promptModelsList = document.getElementById('promptModels');
+  const savePromptButton = document.getElementById('savePrompt');
+  const cancelPromptButton = document.getElementById('cancelPrompt');
+  const promptStatus = document.getElementById('promptStatus');
+  let editingPromptId = null;
+
+  function showPromptStatus(text) {
+    promptStatus.textContent = text;
+    setTimeout(() => { if (promptStatus.textContent === text) promptStatus.textContent = ''; }, 3000);
+  }
+
+  function editPrompt(prompt) {
+    editingPromptId = prompt?.id || null;
+    promptTitleInput.value = prompt?.title || '';
+    promptBodyInput.value = prompt?.body || '';
+    promptModelInput.value = prompt?.model || '';
+    savePromptButton.textContent = prompt ? 'Update Prompt' : 'Save Prompt';
+    cancelPromptButton.hidden = !prompt;
+    if (prompt) promptTitleInput.focus();
+  }
+
+  async function renderPrompts() {
+    const prompts = await loadPrompts();
+    renderShortcutPrompts(prompts);
+    promptList.innerHTML = '';
+    if (!prompts.length) {
+      const li = document.createElement('li');
+      li.className = 'small';
+      li.textContent = 'No saved prompts yet.';
+      promptList.appendChild(li);
+    }
+    for (const prompt of prompts) {
+      const li = document.createElement('li');
+      li.className = 'prompt-item';
+      const info = document.createElement('div');
+      info.className = 'prompt-info';
+      const title = document.createElement('div');
+      title.textContent = prompt.title;
+      const meta = document.createElement('div');
+      meta.className = 'small';
+      const vars = customPromptVariables(prompt.body);
+      meta.textContent = [
+        prompt.model && `Model: ${prompt.model}`,
+        vars.length && `Asks for: ${vars.join(', ')}`,
+        prompt.overflow && 'Stored on this device only (sync quota exceeded)'
+      ].filter(Boolean).join(' · ');
+      info.append(title, meta);
+      const edit = document.createElement('button');
+      edit.className = 'btn';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => editPrompt(prompt));
+      const remove = document.createElement('button');
+      remove.className = 'btn';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', async () => {
+        if (!confirm(`Delete the prompt "${prompt.title}"?`)) return;
+        await deletePrompt(prompt.id);
+        if (editingPromptId === prompt.id) editPrompt(null);
+        renderPrompts();
+      });
+      li.append(info, edit, remove);
+      promptList.appendChild(li);
+    }
+  }
+
+  savePromptButton.addEventListener('click', async () => {
+    const title = promptTitleInput.value.trim();
+    const body = promptBodyInput.value.trim();
+    if (!title || !body) {
+      showPromptStatus('A prompt needs a title and a body.');
+      return;
+    }
+    const saved = await savePrompt({ id: editingPromptId, title, body, model: promptModelInput.value });
+    editPrompt(null);
+    renderPrompts();
+    showPromptStatus(saved.overflow ? 'Prompt saved on this device only: it does not fit in sync storage.' : 'Prompt saved!');
+  });
+  cancelPromptButton.addEventListener('click', () => editPrompt(null));
+
+  chrome.storage.local.get('geminiModels', ({ geminiModels }) => {
+    for (const m of geminiModels || []) {
+      const opt = document.createElement('option');
+      opt.value = m.id;
+      promptModelsList.appendChild(opt);
+    }
+  });
+  renderPrompts();
+
+  // Keyboard shortcuts are declared as manifest commands; Chrome owns the key bindings
+  const shortcutList = document.getElementById('shortcutList');
+  const shortcutPromptSelect = document.getElementById('shortcutPrompt');
+
+  chrome.commands.getAll((commands) => {
+    shortcutList.innerHTML = '';
+    for (const command of commands) {
+      if (!command.description) continue;
+      const li = document.createElement('li');
+      li.textContent = `${command.description}: ${command.shortcut || 'not set'}`;
+      shortcutList.appendChild(li);
+    }
+  });
+  document.getElementById('editShortcuts').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  function renderShortcutPrompts(prompts) {
+    chrome.storage.sync.get('shortcutPromptId', ({ shortcutPromptId }) => {
+      shortcutPromptSelect.innerHTML = '';
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'None';
+      shortcutPromptSelect.appendChild(none);
+      for (const prompt of prompts) {
+        const opt = document.createElement('option');
+        opt.value = prompt.id;
+        opt.textContent = prompt.title;
+        shortcutPromptSelect.appendChild(opt);
+      }
+      shortcutPromptSelect.value = prompts.some(p => p.id === shortcutPromptId) ? shortcutPromptId : '';
+    });
+  }
+  shortcutPromptSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ shortcutPromptId: shortcutPromptSelect.value });
+  });
+
+  // Test API Key with a real request against the selected provider
   testButton.addEventListener('click', () => {
     statusDiv.textContent = 'Testing API key...';
-    setTimeout(() => {
-      statusDiv.textContent = 'API Key test successful!';
-      setTimeout(() => { statusDiv.textContent = ''; }, 2000);
-    }, 1500);
+    testButton.disabled = true;
+    const conn = currentConnection();
+    chrome.runtime.sendMessage({ type: 'TEST_API_KEY', ...conn }, (res) => {
+      testButton.disabled = false;
+      if (chrome.runtime.lastError || !res) {
+        statusDiv.textContent = 'Test failed: the background worker did not respond.';
+        return;
+      }
+      if (res.models?.length) {
+        loadedModels = res.models;
+        renderModels(res.models, conn.model);
+      }
+      statusDiv.textContent = res.ok ? res.message : `Test failed: ${res.error.message}`;
+    });
   });
 });
\ No newline at end of file
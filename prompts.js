@@ -0,0 +1,74 @@
+// Saved prompt library (options page and side panel)
+// A prompt is { id, title, body, model, updatedAt }. Each prompt is its own chrome.storage.sync
+// item so the library follows the user between browsers; a prompt larger than sync's per-item
+// quota, or saved once the sync quota is full, is kept in chrome.storage.local under the same key.
+// The background worker loads this file too (importScripts) to build the context menu.
+
+const PROMPT_KEY_PREFIX = 'prompt:';
+// Filled from the page; any other {{name}} is asked for when the prompt is used
+const PROMPT_BUILTINS = ['selection', 'url', 'title'];
+const PROMPT_VARIABLE_RE = /\{\{\s*([\w .-]+?)\s*\}\}/g;
+
+function promptKey(id) {
+  return PROMPT_KEY_PREFIX + id;
+}
+
+function promptsIn(items, overflow) {
+  return Object.entries(items || {})
+    .filter(([key, value]) => key.startsWith(PROMPT_KEY_PREFIX) && value?.id)
+    .map(([, value]) => ({ ...value, overflow }));
+}
+
+// Synced and overflow prompts together, sorted by title
+async function loadPrompts() {
+  const [synced, local] = await Promise.all([chrome.storage.sync.get(null), chrome.storage.local.get(null)]);
+  const byId = new Map();
+  for (const p of [...promptsIn(local, true), ...promptsIn(synced, false)]) byId.set(p.id, p);
+  return [...byId.values()].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Returns the saved prompt; `overflow` is true when it could only be stored locally
+async function savePrompt({ id, title, body, model }) {
+  const prompt = { id: id || crypto.randomUUID(), title: title.trim(), body, model: (model || '').trim(), updatedAt: Date.now() };
+  const key = promptKey(prompt.id);
+  const size = new TextEncoder().encode(key + JSON.stringify(prompt)).length;
+  let synced = false;
+  if (size <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+    try {
+      await chrome.storage.sync.set({ [key]: prompt });
+      synced = true;
+    } catch {
+      // Total sync quota (or write rate) exceeded
+    }
+  }
+  if (synced) {
+    await chrome.storage.local.remove(key);
+  } else {
+    await chrome.storage.local.set({ [key]: prompt });
+    await chrome.storage.sync.remove(key);
+  }
+  return { ...prompt, overflow: !synced };
+}
+
+async function deletePrompt(id) {
+  const key = promptKey(id);
+  await Promise.all([chrome.storage.sync.remove(key), chrome.storage.local.remove(key)]);
+}
+
+// Placeholder names in order of first use
+function promptVariables(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(PROMPT_VARIABLE_RE)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+function customPromptVariables(body) {
+  return promptVariables(body).filter(name => !PROMPT_BUILTINS.includes(name));
+}
+
+// Replace each {{name}} with values[name]; unknown placeholders become empty
+function fillPrompt(body, values) {
+  return String(body || '').replace(PROMPT_VARIABLE_RE, (_, name) => values[name] ?? '');
+}
@@ -3,14 +3,30 @@
 const messagesEl = document.getElementById('messages');
 const inputEl = document.getElementById('input');
 const sendBtn = document.getElementById('sendBtn');
+const stopBtn = document.getElementById('stopBtn');
 const settingsBtn = document.getElementById('settingsBtn');
+const usageBar = document.getElementById('usageBar');
 
 const hasChrome = typeof window !== 'undefined' && typeof chrome !== 'undefined' && !!chrome.runtime;
 
-// Conversation memory (kept in the side panel only)
-const chatHistory = []; // array of { role: 'user'|'assistant', content: string }
+// Conversation memory; saved to IndexedDB as a thread after every completed turn (threads.js).
+// Messages form a tree: editing a prompt or regenerating an answer adds a sibling. chatHistory is
+// the selected branch, which is what the panel shows and what is sent to the model.
+const ROOT_KEY = 'root';
+const chatHistory = []; // nodes on the selected branch: { id, parentId, role, content, trace?, structured? }
+let threadNodes = {}; // id -> node
+let activeChild = {}; // parent id (ROOT_KEY for the first message) -> selected child id
 let streamingAccumulator = '';
-let pendingUserText = null;
+let pendingParentId = null; // the user message the streaming answer replies to
+
+// The conversation id doubles as the thread id
+let conversationId = crypto.randomUUID();
+let threadMeta = { title: null, url: null, createdAt: null };
+
+// Token usage for this conversation (summed from per-round USAGE_UPDATE events) and today
+const conversationUsage = { prompt: 0, output: 0, cached: 0, cost: 0, byModel: {} };
+let dailyUsage = null;
+let dailyBudget = 0;
 
 // Clear, intelligent system prompt to guide the model
 const SYSTEM_PROMPT = [
@@ -40,15 +56,21 @@ const SYSTEM_PROMPT = [
   '- Reduces AI decision points that can go wrong',
   'If a tool fails, analyze the error and try alternative approaches rather than repeating the exact same sequence.',
   'IMPORTANT: When extracting rankings, lists, or comprehensive content, prefer getAllContent with method="clean" or "structured" for fast results. Use extractText with scroll=true only for complex sites that need scrolling to capture all content beyond the visible viewport.',
-  'Use available browser tools when beneficial: searchWeb, listOpenTabs, openNewTab, switchToTabByTitle, closeCurrentTab; and page tools: waitForSelector, clickSelector, clickLinkByText, fillSelector, insertText, pressKey, focusSelector, selectOption, scrollTo, navigate, extractText, getAllContent, getLinksOnPage, getSearchResults, clickSearchResultByDomain.',
+  'VISUAL CONTENT: text extraction cannot see canvases, charts, images or layout. Use captureScreenshot (optionally with a selector) when the answer depends on what the page looks like.',
+  'Use available browser tools when beneficial: searchWeb, listOpenTabs, openNewTab, switchToTabByTitle, closeCurrentTab, captureScreenshot; and page tools: getInteractiveElements, clickElement, typeIntoElement, selectElementOption, waitForSelector, clickSelector, clickLinkByText, fillSelector, insertText, pressKey, focusSelector, selectOption, scrollTo, navigate, extractText, getAllContent, getLinksOnPage, getSearchResults, clickSearchResultByDomain.',
+  'PAGE INTERACTION: call getInteractiveElements first and click, type and choose options by element index with clickElement, typeIntoElement and selectElementOption. Indices stay valid while the element is on the page; after navigation or big page changes, list the elements again. Use clickSelector, fillSelector, focusSelector and selectOption only when the element is missing from the list.',
   'CONTENT EXTRACTION: Always try getAllContent FIRST as it is faster and simpler:',
   '- getAllContent: PREFERRED method - fast extraction with method="clean" (removes ads/nav), "text" (plain text), "structured" (organized), or "html" (raw HTML).',
   '- extractText: Use ONLY when getAllContent fails or for complex sites requiring scrolling and advanced selectors.',
+  'CITATIONS: results of page-reading tools carry a sourceIndex. When the answer uses facts from such a page, cite it right after the claim as [n] with that number, e.g. "It opened in 1889 [1]." Cite only pages you read and do not add your own reference list; the panel shows one.',
   'Operate safely: ask for approval when prompted, use minimal precise actions, and be transparent about what you did and any limitations. If an action fails, explain and suggest alternatives.',
   'Format equations and key expressions using LaTeX: use $...$ for inline math and $$...$$ or \\[...\\] for display math. Avoid full LaTeX document preambles; write concise text with math where helpful.'
 ].join('\n');
 
-let port;
+// The request being answered: { id, port }. Each ASK_GEMINI gets its own port, and the
+// background worker sends that request's events over it only (so panels in other windows
+// never see them). Extraction requests have an id but no port.
+let activeRequest = null;
 
 // Render text with inline/display LaTeX using KaTeX, preserving surrounding text
 function renderWithKaTeXInline(container, text) {
@@ -102,9 +124,12 @@ function renderMathOrText(container, text) {
 function appendMsg(role, text) {
   const div = document.createElement('div');
   div.className = `msg ${role}`;
-  renderMathOrText(div, text);
+  // Assistant replies are Markdown (markdown.js); user text is shown as typed
+  if (role === 'assistant') renderMarkdown(div, text);
+  else renderMathOrText(div, text);
   messagesEl.appendChild(div);
   messagesEl.scrollTop = messagesEl.scrollHeight;
+  return div;
 }
 
 function setStreaming(role, on) {
@@ -112,7 +137,7 @@ function setStreaming(role, on) {
     const div = document.createElement('div');
     div.className = `msg ${role} streaming`;
     div.id = 'streaming';
-    div.innerHTML = '<span class="status-indicator">✨ AI is thinking...</span>';
+    div.innerHTML = '<span class="status-indicator">✨ AI is thinking...</span><div class="stream-text"></div>';
     messagesEl.appendChild(div);
   } else {
     const div = document.getElementById('streaming');
@@ -124,13 +149,228 @@ function updateStreamingText(text) {
   streamingAccumulator += text;
   const div = document.getElementById('streaming');
   if (div) {
-    // Clear status indicator and show actual text
+    // Hide status indicator while text is arriving; tool activity brings it back
     const statusIndicator = div.querySelector('.status-indicator');
-    if (statusIndicator) {
-      statusIndicator.remove();
+    if (statusIndicator) statusIndicator.hidden = true;
+    const textEl = div.querySelector('.stream-text');
+    if (textEl) textEl.textContent += text; // stream raw; final render happens on STREAM_DONE
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
+}
+
+// Timeline of the tool calls behind an answer, collapsed under the answer's first line.
+// Steps come from the background worker's trace: { name, args, ok, tabId, url, title, durationMs, result }.
+const TIMELINE_PREVIEW_CHARS = 240;
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`;
+}
+
+function renderTimeline(div, trace) {
+  let details = div.querySelector(':scope > .tool-timeline');
+  if (!details) {
+    details = document.createElement('details');
+    details.className = 'tool-timeline';
+    div.prepend(details);
+  }
+  const failed = trace.filter(step => !step.ok).length;
+  const total = trace.reduce((sum, step) => sum + (step.durationMs || 0), 0);
+  const summary = document.createElement('summary');
+  summary.className = 'small';
+  summary.textContent = `🔧 ${trace.length} tool call${trace.length === 1 ? '' : 's'}${failed ? ` · ${failed} failed` : ''}${total ? ` · ${formatDuration(total)}` : ''}`;
+  const list = document.createElement('ol');
+  for (const step of trace) list.appendChild(renderTimelineStep(step));
+  details.replaceChildren(summary, list);
+}
+
+function renderTimelineStep(step) {
+  const li = document.createElement('li');
+  li.className = `tool-step ${step.ok ? 'ok' : 'failed'}`;
+  const head = document.createElement('div');
+  head.className = 'tool-step-head';
+  const name = document.createElement('strong');
+  name.textContent = `${step.ok ? '✓' : '✗'} ${step.name}`;
+  const meta = document.createElement('span');
+  meta.className = 'small';
+  const tab = step.title || hostOf(step.url) || (step.tabId ? `tab ${step.tabId}` : '');
+  meta.textContent = [step.durationMs != null && formatDuration(step.durationMs), tab].filter(Boolean).join(' · ');
+  meta.title = step.url || '';
+  head.append(name, meta);
+  const args = document.createElement('code');
+  args.className = 'tool-args';
+  args.textContent = JSON.stringify(step.args || {});
+  li.append(head, args);
+
+  if (step.result) {
+    const pre = document.createElement('pre');
+    pre.className = 'tool-result';
+    const full = step.result;
+    const preview = full.length > TIMELINE_PREVIEW_CHARS ? `${full.slice(0, TIMELINE_PREVIEW_CHARS)}...` : full;
+    pre.textContent = preview;
+    li.appendChild(pre);
+    if (preview !== full) {
+      const toggle = document.createElement('button');
+      toggle.className = 'btn ghost small';
+      toggle.textContent = 'Show full result';
+      toggle.addEventListener('click', () => {
+        const expand = pre.textContent === preview;
+        pre.textContent = expand ? full : preview;
+        toggle.textContent = expand ? 'Show less' : 'Show full result';
+      });
+      li.appendChild(toggle);
     }
-    div.textContent += text; // stream raw; final render happens on STREAM_DONE
   }
+  return li;
+}
+
+// Footnote click (citations.js): switch to or open the page and highlight the cited passage
+function openCitedSource(source, passage) {
+  chrome.runtime.sendMessage({ type: 'OPEN_SOURCE', url: source.url, passage });
+}
+
+function formatTokens(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(n >= 10000 ? 0 : 1)}k` : String(n);
+}
+
+function renderUsage() {
+  const u = conversationUsage;
+  const parts = [`${formatTokens(u.prompt)} in · ${formatTokens(u.output)} out`];
+  if (u.cached) parts.push(`${formatTokens(u.cached)} cached`);
+  parts.push(`~$${u.cost.toFixed(4)}`);
+  if (dailyUsage) {
+    const used = dailyUsage.prompt + dailyUsage.output;
+    parts.push(`Today: ${formatTokens(used)}${dailyBudget ? ` / ${formatTokens(dailyBudget)}` : ''}`);
+  }
+  usageBar.textContent = parts.join(' · ');
+  // Per-model breakdown on hover
+  usageBar.title = Object.entries(u.byModel)
+    .map(([model, m]) => `${model}: ${m.prompt} in, ${m.output} out, ${m.cached} cached, ${m.priced ? `~$${m.cost.toFixed(4)}` : 'no price data'}`)
+    .join('\n');
+}
+
+function addUsage(usage) {
+  const m = conversationUsage.byModel[usage.model] ||= { prompt: 0, output: 0, cached: 0, cost: 0, priced: usage.priced };
+  for (const target of [conversationUsage, m]) {
+    target.prompt += usage.prompt;
+    target.output += usage.output;
+    target.cached += usage.cached;
+    target.cost += usage.cost;
+  }
+}
+
+// Structured extraction results: table view with copy/download actions
+function formatCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Tabulate a top-level array, else the first array-of-objects property, else the object itself
+function tableRowsFor(data) {
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === 'object') {
+    const list = Object.values(data).find(v => Array.isArray(v) && v.some(x => x && typeof x === 'object'));
+    return list || [data];
+  }
+  return [{ value: data }];
+}
+
+function tableColumnsFor(rows) {
+  const cols = new Set();
+  for (const row of rows) {
+    if (row && typeof row === 'object' && !Array.isArray(row)) Object.keys(row).forEach(k => cols.add(k));
+    else cols.add('value');
+  }
+  return [...cols];
+}
+
+function cellValue(row, col) {
+  return row && typeof row === 'object' && !Array.isArray(row) ? row[col] : (col === 'value' ? row : undefined);
+}
+
+function toCsv(rows, cols) {
+  const esc = (v) => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  return [cols.map(esc).join(','), ...rows.map(r => cols.map(c => esc(formatCell(cellValue(r, c)))).join(','))].join('\n');
+}
+
+// Saves go through chrome.downloads (save dialog, download history); plain link as a preview fallback
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  if (hasChrome && chrome.downloads) {
+    chrome.downloads.download({ url, filename, saveAs: true, conflictAction: 'uniquify' }, () => {
+      void chrome.runtime.lastError; // the user cancelled the dialog
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    });
+    return;
+  }
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function appendStructuredResult(data, source) {
+  const rows = tableRowsFor(data);
+  const cols = tableColumnsFor(rows);
+  const div = document.createElement('div');
+  div.className = 'msg assistant structured';
+
+  if (source?.title || source?.url) {
+    const caption = document.createElement('div');
+    caption.className = 'small';
+    caption.textContent = `Extracted from ${source.title || source.url}`;
+    div.appendChild(caption);
+  }
+
+  const wrap = document.createElement('div');
+  wrap.className = 'table-wrap';
+  const table = document.createElement('table');
+  table.className = 'data-table';
+  const headRow = table.createTHead().insertRow();
+  for (const col of cols) {
+    const th = document.createElement('th');
+    th.textContent = col;
+    headRow.appendChild(th);
+  }
+  const tbody = table.createTBody();
+  for (const row of rows) {
+    const tr = tbody.insertRow();
+    for (const col of cols) tr.insertCell().textContent = formatCell(cellValue(row, col));
+  }
+  wrap.appendChild(table);
+  div.appendChild(wrap);
+
+  const json = JSON.stringify(data, null, 2);
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const actions = document.createElement('div');
+  actions.className = 'msg-actions';
+  const addAction = (label, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+    return btn;
+  };
+  const copyBtn = addAction('Copy JSON', async () => {
+    await navigator.clipboard.writeText(json);
+    copyBtn.textContent = 'Copied';
+    setTimeout(() => { copyBtn.textContent = 'Copy JSON'; }, 1500);
+  });
+  addAction('Download JSON', () => downloadText(`extraction-${stamp}.json`, json, 'application/json'));
+  addAction('Download CSV', () => downloadText(`extraction-${stamp}.csv`, toCsv(rows, cols), 'text/csv'));
+  div.appendChild(actions);
+
+  messagesEl.appendChild(div);
+  messagesEl.scrollTop = messagesEl.scrollHeight;
+  return div;
+}
+
+// Swap Send for Stop while an agent task is running
+function setBusy(on) {
+  sendBtn.hidden = on;
+  stopBtn.hidden = !on;
 }
 
 function updateStatusIndicator(status) {
@@ -139,17 +379,293 @@ function updateStatusIndicator(status) {
     const statusIndicator = div.querySelector('.status-indicator');
     if (statusIndicator) {
       statusIndicator.textContent = status;
+      statusIndicator.hidden = false;
     }
   }
 }
 
 sendBtn.addEventListener('click', send);
+stopBtn.addEventListener('click', () => {
+  updateStatusIndicator('⏹ Stopping...');
+  if (!activeRequest) return;
+  if (activeRequest.port) {
+    activeRequest.port.postMessage({ type: 'STOP_TASK' });
+    return;
+  }
+  // Extraction, or a request still looking up its tab: startRequest checks the flag
+  activeRequest.stopped = true;
+  chrome.runtime.sendMessage({ type: 'STOP_TASK', requestId: activeRequest.id });
+});
 inputEl.addEventListener('keydown', (e) => {
+  if (!slashMenu.hidden && handleSlashMenuKey(e)) return;
   if (e.key === 'Enter' && !e.shiftKey) {
     e.preventDefault();
     send();
   }
 });
+inputEl.addEventListener('input', updateSlashMenu);
+inputEl.addEventListener('blur', () => { slashMenu.hidden = true; });
+
+// Slash commands: common tasks with a preset prompt and only the tools they need, or none at
+// all, so they skip most of the agent loop. Options are stored on the user message so that
+// Regenerate and Edit run the same way.
+const slashMenu = document.getElementById('slashMenu');
+
+const SUMMARIZE_PROMPT = [
+  'You summarize web pages for a Chrome extension side panel.',
+  'The page content is provided in the conversation; do not ask for it and do not use tools.',
+  'Start with a one-sentence overview, then the key points as a short bulleted list. Keep names, numbers and dates exact.',
+  'If the page content could not be read, say so briefly.'
+].join('\n');
+
+const TRANSLATE_PROMPT = [
+  'You are a translator in a Chrome extension side panel.',
+  'Translate the given text, or the selected text on the page if there is one, otherwise the main content of the page.',
+  'Reply with the translation only, keeping the original formatting, names and numbers.'
+].join('\n');
+
+const TAB_TOOLS = ['listOpenTabs', 'switchToTabByTitle', 'openNewTab', 'closeCurrentTab', 'getAllContent', 'extractText', 'captureScreenshot'];
+
+const TABS_PROMPT = [
+  SYSTEM_PROMPT,
+  'TAB TASK: the request is about the open tabs. Start with listOpenTabs; pass a tab\'s id as tabId to read it without switching to it.'
+].join('\n');
+
+const SLASH_COMMANDS = [
+  {
+    name: 'summarize',
+    usage: '/summarize [focus]',
+    description: 'Summarize the current page',
+    run: (arg, attachments) => sendTurn(arg ? `Summarize this page, focusing on: ${arg}` : 'Summarize this page.', { system: SUMMARIZE_PROMPT, tools: [], includePage: true }, attachments)
+  },
+  {
+    name: 'tabs',
+    usage: '/tabs [task]',
+    description: 'List open tabs, or do something with them',
+    run: (arg, attachments) => arg ? sendTurn(arg, { system: TABS_PROMPT, tools: TAB_TOOLS }, attachments) : listTabs()
+  },
+  {
+    name: 'extract',
+    usage: '/extract <schema>',
+    description: 'Extract structured data with a JSON schema',
+    run: (arg) => {
+      extractPanel.hidden = false;
+      if (!arg) return schemaInput.focus();
+      schemaInput.value = arg;
+      runExtraction();
+    }
+  },
+  {
+    name: 'translate',
+    usage: '/translate <language> [text]',
+    description: 'Translate text, the selection or the page',
+    run: (arg, attachments) => {
+      const [, lang, text] = /^(\S*)\s*([\s\S]*)$/.exec(arg);
+      if (!lang) return slashError('Usage: /translate <language> [text]');
+      if (text) return sendTurn(`Translate into ${lang}:\n\n${text}`, { system: TRANSLATE_PROMPT, tools: [] }, attachments);
+      if (attachments.length) return sendTurn(`Translate the attached file(s) into ${lang}.`, { system: TRANSLATE_PROMPT, tools: [] }, attachments);
+      sendTurn(`Translate the selection or this page into ${lang}.`, { system: TRANSLATE_PROMPT, tools: [], includePage: true });
+    }
+  },
+  {
+    name: 'clear',
+    usage: '/clear',
+    description: 'Start a new conversation',
+    run: () => loadConversation(null)
+  },
+  {
+    name: 'model',
+    usage: '/model <name> <question>',
+    description: 'Use another model for one turn',
+    run: (arg, attachments) => {
+      const [, model, text] = /^(\S*)\s*([\s\S]*)$/.exec(arg);
+      if (!model || !text) return slashError('Usage: /model <name> <question>');
+      sendTurn(text, { model }, attachments);
+    }
+  }
+];
+
+// Split "/name rest" into the command and its argument text
+function parseSlashCommand(text) {
+  const m = /^\/(\w+)(?:\s+([\s\S]*))?$/.exec(text);
+  if (!m) return null;
+  const command = SLASH_COMMANDS.find(c => c.name === m[1].toLowerCase());
+  return command ? { command, arg: (m[2] || '').trim() } : null;
+}
+
+function slashError(text) {
+  appendMsg('assistant', text);
+}
+
+function sendTurn(content, options, attachments) {
+  const userNode = addNode(lastNodeId(), { role: 'user', content, options, attachments: attachments?.length ? attachments : undefined });
+  const div = appendMsg('user', content);
+  if (userNode.attachments) appendAttachmentChips(div, userNode.attachments);
+  decorateMessage(div, userNode);
+  askForAnswer(userNode, { rendered: true });
+}
+
+// Direct tool call: no model round needed to show the open tabs
+function listTabs() {
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    chrome.runtime.sendMessage({ type: 'EXECUTE_TOOL', tool: 'listOpenTabs', args: {}, tabId: tab?.id }, (res) => {
+      if (chrome.runtime.lastError || !res?.ok || res.result?.error) return slashError('Could not list the open tabs.');
+      const tabs = res.result.tabs || [];
+      const lines = tabs.map((t, i) => `${i + 1}. [${(t.title || t.url || '').replace(/[[\]]/g, '')}](${t.url})`);
+      appendMsg('assistant', lines.length ? `**Open tabs (${tabs.length})**\n\n${lines.join('\n')}` : 'No open tabs.');
+    });
+  });
+}
+
+let modelNames = [];
+if (hasChrome) {
+  chrome.storage.local.get('geminiModels', ({ geminiModels }) => {
+    modelNames = (geminiModels || []).map(m => m.id).filter(Boolean);
+  });
+}
+
+// Suggestions for the text typed so far: command names, then model names for /model
+function slashSuggestions(text) {
+  const modelArg = /^\/model\s+(\S*)$/i.exec(text);
+  if (modelArg) {
+    const q = modelArg[1].toLowerCase();
+    return modelNames.filter(id => id.toLowerCase().includes(q)).slice(0, 8)
+      .map(id => ({ label: id, hint: '', value: `/model ${id} ` }));
+  }
+  const name = /^\/(\w*)$/.exec(text);
+  if (!name) return [];
+  const q = name[1].toLowerCase();
+  return SLASH_COMMANDS.filter(c => c.name.startsWith(q))
+    .map(c => ({ label: c.usage, hint: c.description, value: `/${c.name}${c.usage.includes(' ') ? ' ' : ''}` }));
+}
+
+let slashItems = [];
+let slashIndex = 0;
+
+function updateSlashMenu() {
+  slashItems = slashSuggestions(inputEl.value);
+  slashIndex = 0;
+  renderSlashMenu();
+}
+
+function renderSlashMenu() {
+  slashMenu.innerHTML = '';
+  slashMenu.hidden = !slashItems.length;
+  slashItems.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.className = i === slashIndex ? 'active' : '';
+    const label = document.createElement('span');
+    label.className = 'slash-usage';
+    label.textContent = item.label;
+    const hint = document.createElement('span');
+    hint.className = 'small';
+    hint.textContent = item.hint;
+    li.append(label, hint);
+    // mousedown keeps focus in the input
+    li.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      applySlashItem(item);
+    });
+    slashMenu.appendChild(li);
+  });
+}
+
+function applySlashItem(item) {
+  inputEl.value = item.value;
+  inputEl.focus();
+  updateSlashMenu();
+}
+
+// Returns true when the key was used by the menu
+function handleSlashMenuKey(e) {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    slashIndex = (slashIndex + (e.key === 'ArrowDown' ? 1 : slashItems.length - 1)) % slashItems.length;
+    renderSlashMenu();
+    return true;
+  }
+  if (e.key === 'Escape') {
+    slashMenu.hidden = true;
+    return true;
+  }
+  const item = slashItems[slashIndex];
+  // Enter on a complete command without arguments runs it; otherwise it completes like Tab
+  if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && item.value.trim() !== inputEl.value.trim())) {
+    e.preventDefault();
+    applySlashItem(item);
+    return true;
+  }
+  return false;
+}
+
+// Extraction mode: schema + optional instructions -> typed JSON rendered as a table
+const extractBtn = document.getElementById('extractBtn');
+const extractPanel = document.getElementById('extractPanel');
+const schemaInput = document.getElementById('schemaInput');
+const extractInstructions = document.getElementById('extractInstructions');
+const runExtract = document.getElementById('runExtract');
+const closeExtract = document.getElementById('closeExtract');
+
+extractBtn.addEventListener('click', () => {
+  extractPanel.hidden = !extractPanel.hidden;
+  if (!extractPanel.hidden) schemaInput.focus();
+});
+closeExtract.addEventListener('click', () => { extractPanel.hidden = true; });
+
+if (hasChrome) {
+  chrome.storage.local.get('lastExtractionSchema', ({ lastExtractionSchema }) => {
+    if (lastExtractionSchema && !schemaInput.value) schemaInput.value = lastExtractionSchema;
+  });
+}
+
+function runExtraction() {
+  const schemaText = schemaInput.value.trim();
+  let schema;
+  try {
+    schema = JSON.parse(schemaText);
+  } catch (e) {
+    appendMsg('assistant', `The schema is not valid JSON: ${e.message}`);
+    return;
+  }
+  chrome.storage.local.set({ lastExtractionSchema: schemaText });
+  const instructions = extractInstructions.value.trim();
+  const request = `Extract structured data${instructions ? ` (${instructions})` : ''} with schema:\n${schemaText}`;
+  const userNode = addNode(lastNodeId(), { role: 'user', content: request, extraction: true });
+  appendMsg('user', request);
+  setStreaming('assistant', true);
+  updateStatusIndicator('🧩 Extracting structured data...');
+  setBusy(true);
+  const requestId = crypto.randomUUID();
+  activeRequest = { id: requestId };
+  chrome.runtime.sendMessage({ type: 'EXTRACT_STRUCTURED', schema, instructions, conversationId, requestId }, (res) => {
+    if (activeRequest?.id === requestId) activeRequest = null;
+    setStreaming('assistant', false);
+    setBusy(false);
+    if (chrome.runtime.lastError || !res) {
+      const failure = 'Extraction failed: the background worker did not respond.';
+      appendMsg('assistant', failure);
+      addNode(userNode.id, { role: 'assistant', content: failure, extraction: true });
+      persistThread();
+      return;
+    }
+    if (res.ok) {
+      appendStructuredResult(res.data, res.source);
+    } else {
+      const details = res.errors?.length ? `\n- ${res.errors.join('\n- ')}` : '';
+      appendMsg('assistant', `Extraction failed: ${res.error}${details}`);
+      if (res.data != null) appendStructuredResult(res.data, res.source);
+    }
+    // Keep the result in the conversation so follow-up questions can refer to it
+    addNode(userNode.id, {
+      role: 'assistant',
+      content: res.ok ? JSON.stringify(res.data) : `Extraction failed: ${res.error}`,
+      structured: res.data != null ? { data: res.data, source: res.source } : undefined,
+      extraction: true
+    });
+    persistThread();
+  });
+}
+runExtract.addEventListener('click', runExtraction);
 
 settingsBtn.addEventListener('click', () => {
   if (hasChrome) {
@@ -160,25 +676,619 @@ settingsBtn.addEventListener('click', () => {
   }
 });
 
+// Chat history as sent to the model (display-only fields stripped). Attachments are re-sent
+// newest first while they fit in MAX_REQUEST_ATTACHMENT_CHARS; older ones go by name only.
+function historyForModel(nodes = chatHistory) {
+  let room = MAX_REQUEST_ATTACHMENT_CHARS;
+  const kept = new Set();
+  for (const node of [...nodes].reverse()) {
+    for (const attachment of node.attachments || []) {
+      const chars = attachmentChars(attachment);
+      if (chars > room) continue;
+      room -= chars;
+      kept.add(attachment);
+    }
+  }
+  return nodes.map(({ role, content, attachments }) => ({
+    role,
+    content,
+    attachments: attachments?.map(a => kept.has(a) ? a : { id: a.id, name: a.name, mimeType: a.mimeType, size: a.size, omitted: true })
+  }));
+}
+
+// Message tree: add nodes, follow the selected branch, switch between alternatives
+function addNode(parentId, fields) {
+  const node = { id: crypto.randomUUID(), parentId: parentId || null, createdAt: Date.now(), ...fields };
+  threadNodes[node.id] = node;
+  activeChild[parentId || ROOT_KEY] = node.id;
+  rebuildBranch();
+  return node;
+}
+
+function rebuildBranch() {
+  chatHistory.length = 0;
+  let id = activeChild[ROOT_KEY];
+  while (id && threadNodes[id]) {
+    chatHistory.push(threadNodes[id]);
+    id = activeChild[id];
+  }
+}
+
+function lastNodeId() {
+  return chatHistory[chatHistory.length - 1]?.id || null;
+}
+
+function pathTo(id) {
+  const path = [];
+  for (let n = threadNodes[id]; n; n = threadNodes[n.parentId]) path.unshift(n);
+  return path;
+}
+
+function siblingsOf(node) {
+  return Object.values(threadNodes)
+    .filter(n => n.parentId === node.parentId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function selectNode(node) {
+  activeChild[node.parentId || ROOT_KEY] = node.id;
+  rebuildBranch();
+  renderHistory();
+  persistThread();
+}
+
+// Threads saved before branching existed only have the flat message list
+function treeFromMessages(messages = []) {
+  const nodes = {};
+  const active = {};
+  let parentId = null;
+  messages.forEach((m, i) => {
+    const node = { ...m, id: m.id || `m${i}`, parentId, createdAt: m.createdAt || i };
+    nodes[node.id] = node;
+    active[parentId || ROOT_KEY] = node.id;
+    parentId = node.id;
+  });
+  return { nodes, active };
+}
+
+// Threads: persistence, history browser, resume
+const historyBtn = document.getElementById('historyBtn');
+const threadsPanel = document.getElementById('threadsPanel');
+const threadSearch = document.getElementById('threadSearch');
+const threadList = document.getElementById('threadList');
+const newThreadBtn = document.getElementById('newThreadBtn');
+
+async function persistThread() {
+  if (!chatHistory.length) return;
+  const now = Date.now();
+  threadMeta.createdAt ||= now;
+  const firstPrompt = chatHistory.find(m => m.role === 'user');
+  threadMeta.title ||= titleFromText(firstPrompt?.content || firstPrompt?.attachments?.map(a => a.name).join(', '));
+  try {
+    await saveThread({
+      id: conversationId,
+      title: threadMeta.title,
+      url: threadMeta.url,
+      createdAt: threadMeta.createdAt,
+      updatedAt: now,
+      messages: chatHistory,
+      nodes: threadNodes,
+      activeChild,
+      usage: conversationUsage
+    });
+  } catch (e) {
+    console.warn('Could not save conversation:', e);
+  }
+  if (!threadsPanel.hidden) renderThreadList();
+}
+
+function renderHistory(nodes = chatHistory) {
+  messagesEl.innerHTML = '';
+  for (const m of nodes) {
+    const div = m.structured ? appendStructuredResult(m.structured.data, m.structured.source) : appendMsg(m.role, m.content);
+    if (m.sources?.length) renderCitations(div, m.sources, { onOpen: openCitedSource });
+    if (m.trace?.length) renderTimeline(div, m.trace);
+    if (m.attachments?.length) appendAttachmentChips(div, m.attachments);
+    decorateMessage(div, m);
+  }
+}
+
+// Hover actions: edit a prompt, regenerate an answer, page through alternatives
+function decorateMessage(div, node) {
+  const actions = document.createElement('div');
+  actions.className = 'msg-actions hover-actions';
+  const addAction = (label, title, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = 'btn ghost';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', () => {
+      if (!isTaskRunning()) onClick();
+    });
+    actions.appendChild(btn);
+    return btn;
+  };
+
+  const siblings = siblingsOf(node);
+  if (siblings.length > 1) {
+    const index = siblings.indexOf(node);
+    const prev = addAction('‹', 'Previous version', () => selectNode(siblings[index - 1]));
+    prev.disabled = index === 0;
+    const counter = document.createElement('span');
+    counter.className = 'small';
+    counter.textContent = `${index + 1}/${siblings.length}`;
+    actions.appendChild(counter);
+    const next = addAction('›', 'Next version', () => selectNode(siblings[index + 1]));
+    next.disabled = index === siblings.length - 1;
+  }
+  if (node.role === 'user' && !node.extraction) {
+    addAction('Edit', 'Edit and re-run from here', () => startEdit(div, node));
+  }
+  // Extraction replies come from EXTRACT_STRUCTURED, not the chat; regenerating would send the
+  // request text as a chat turn (threads saved earlier only mark the user node)
+  const parent = threadNodes[node.parentId];
+  if (node.role === 'assistant' && !node.structured && !node.extraction && parent && !parent.extraction) {
+    addAction('Regenerate', 'Generate another answer', () => askForAnswer(parent));
+  }
+  if (actions.childElementCount) div.appendChild(actions);
+}
+
+function startEdit(div, node) {
+  const editor = document.createElement('div');
+  editor.className = 'msg-editor';
+  const textarea = document.createElement('textarea');
+  textarea.value = node.content;
+  textarea.rows = Math.min(8, node.content.split('\n').length + 1);
+  const buttons = document.createElement('div');
+  buttons.className = 'msg-actions';
+  const save = document.createElement('button');
+  save.className = 'btn primary';
+  save.textContent = 'Send';
+  const cancel = document.createElement('button');
+  cancel.className = 'btn ghost';
+  cancel.textContent = 'Cancel';
+  buttons.append(save, cancel);
+  editor.append(textarea, buttons);
+  div.replaceChildren(editor);
+  textarea.focus();
+
+  cancel.addEventListener('click', () => renderHistory());
+  const submit = () => {
+    const text = textarea.value.trim();
+    if ((!text && !node.attachments?.length) || isTaskRunning()) return;
+    // The edit becomes a sibling of the original prompt, so the old branch stays available
+    askForAnswer(addNode(node.parentId, { role: 'user', content: text, options: node.options, attachments: node.attachments }));
+  };
+  save.addEventListener('click', submit);
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape') {
+      renderHistory();
+    }
+  });
+}
+
+function isTaskRunning() {
+  return !stopBtn.hidden;
+}
+
+function loadConversation(thread) {
+  conversationId = thread?.id || crypto.randomUUID();
+  threadMeta = { title: thread?.title || null, url: thread?.url || null, createdAt: thread?.createdAt || null };
+  const tree = thread?.nodes ? { nodes: thread.nodes, active: thread.activeChild || {} } : treeFromMessages(thread?.messages);
+  threadNodes = tree.nodes;
+  activeChild = tree.active;
+  rebuildBranch();
+  Object.assign(conversationUsage, { prompt: 0, output: 0, cached: 0, cost: 0, byModel: {} }, thread?.usage || {});
+  renderHistory();
+  renderUsage();
+}
+
+async function resumeThread(id) {
+  if (isTaskRunning()) return;
+  const thread = await getThread(id);
+  if (!thread) return;
+  loadConversation(thread);
+  threadsPanel.hidden = true;
+  inputEl.focus();
+}
+
+function formatThreadDate(ts) {
+  const d = new Date(ts);
+  return d.toDateString() === new Date().toDateString()
+    ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : d.toLocaleDateString();
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname; } catch { return ''; }
+}
+
+// Swap the title for an input; Enter saves, Escape cancels
+function startRename(item, thread) {
+  const info = item.querySelector('.thread-info');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = thread.title;
+  info.replaceChildren(input);
+  input.focus();
+  input.select();
+  input.addEventListener('click', (e) => e.stopPropagation());
+  let done = false;
+  const finish = async (save) => {
+    if (done) return;
+    done = true;
+    const title = input.value.trim();
+    if (save && title && title !== thread.title) {
+      await renameThread(thread.id, title);
+      if (thread.id === conversationId) threadMeta.title = title;
+    }
+    renderThreadList();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    else if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function renderThreadList() {
+  let threads = [];
+  try {
+    threads = (await listThreads()).filter(t => threadMatches(t, threadSearch.value));
+  } catch (e) {
+    console.warn('Could not load conversations:', e);
+  }
+  threadList.innerHTML = '';
+  if (!threads.length) {
+    const empty = document.createElement('li');
+    empty.className = 'small';
+    empty.textContent = threadSearch.value.trim() ? 'No matching conversations.' : 'No saved conversations yet.';
+    threadList.appendChild(empty);
+    return;
+  }
+  for (const thread of threads) {
+    const li = document.createElement('li');
+    li.className = `thread-item${thread.id === conversationId ? ' current' : ''}`;
+    const info = document.createElement('div');
+    info.className = 'thread-info';
+    const title = document.createElement('div');
+    title.className = 'thread-title';
+    title.textContent = thread.title;
+    const meta = document.createElement('div');
+    meta.className = 'thread-meta small';
+    meta.textContent = [formatThreadDate(thread.updatedAt), hostOf(thread.url), `${thread.messages?.length || 0} messages`].filter(Boolean).join(' · ');
+    meta.title = thread.url || '';
+    info.append(title, meta);
+
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'btn ghost';
+    renameBtn.title = 'Rename';
+    renameBtn.textContent = '✎';
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      startRename(li, thread);
+    });
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn ghost';
+    deleteBtn.title = 'Delete';
+    deleteBtn.textContent = '🗑';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await deleteThread(thread.id);
+      // Deleting the open conversation starts a fresh one
+      if (thread.id === conversationId && !isTaskRunning()) loadConversation(null);
+      renderThreadList();
+    });
+
+    // Export formats open inline under the item
+    const exportMenu = document.createElement('div');
+    exportMenu.className = 'thread-export';
+    exportMenu.hidden = true;
+    for (const [format, label] of [['md', 'Markdown'], ['json', 'JSON'], ['html', 'HTML']]) {
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = label;
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const latest = await getThread(thread.id);
+        if (latest) exportThread(latest, format);
+        exportMenu.hidden = true;
+      });
+      exportMenu.appendChild(btn);
+    }
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn ghost';
+    exportBtn.title = 'Export';
+    exportBtn.textContent = '⤓';
+    exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportMenu.hidden = !exportMenu.hidden;
+    });
+
+    li.append(info, exportBtn, renameBtn, deleteBtn, exportMenu);
+    li.addEventListener('click', () => resumeThread(thread.id));
+    threadList.appendChild(li);
+  }
+}
+
+historyBtn.addEventListener('click', () => {
+  threadsPanel.hidden = !threadsPanel.hidden;
+  if (!threadsPanel.hidden) {
+    renderThreadList();
+    threadSearch.focus();
+  }
+});
+threadSearch.addEventListener('input', renderThreadList);
+newThreadBtn.addEventListener('click', () => {
+  if (isTaskRunning()) return;
+  loadConversation(null);
+  threadsPanel.hidden = true;
+  inputEl.focus();
+});
+
+// Saved prompts (prompts.js): placeholders are filled from the active page, custom ones through
+// a small form. A prompt with a model override is inserted as a /model command.
+const promptsBtn = document.getElementById('promptsBtn');
+const promptsPanel = document.getElementById('promptsPanel');
+const promptSearch = document.getElementById('promptSearch');
+const promptList = document.getElementById('promptList');
+const promptVarsForm = document.getElementById('promptVarsForm');
+const managePromptsBtn = document.getElementById('managePromptsBtn');
+
+async function renderPromptList() {
+  const q = promptSearch.value.trim().toLowerCase();
+  const prompts = (await loadPrompts()).filter(p => !q || p.title.toLowerCase().includes(q) || p.body.toLowerCase().includes(q));
+  promptList.innerHTML = '';
+  if (!prompts.length) {
+    const li = document.createElement('li');
+    li.className = 'small';
+    li.textContent = q ? 'No matching prompts.' : 'No saved prompts yet. Add some under Manage.';
+    promptList.appendChild(li);
+    return;
+  }
+  for (const prompt of prompts) {
+    const li = document.createElement('li');
+    li.className = 'thread-item';
+    const info = document.createElement('div');
+    info.className = 'thread-info';
+    const title = document.createElement('div');
+    title.className = 'thread-title';
+    title.textContent = prompt.title;
+    const meta = document.createElement('div');
+    meta.className = 'thread-meta small';
+    meta.textContent = [prompt.model, prompt.body.replace(/\s+/g, ' ')].filter(Boolean).join(' · ');
+    info.append(title, meta);
+    li.appendChild(info);
+    li.addEventListener('click', () => usePrompt(prompt));
+    promptList.appendChild(li);
+  }
+}
+
+// selection, url and title of the active tab (the selection needs the content script)
+function collectPromptValues() {
+  return new Promise((resolve) => {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      const values = { selection: '', url: tab?.url || '', title: tab?.title || '' };
+      if (!tab?.id) return resolve(values);
+      chrome.tabs.sendMessage(tab.id, { type: 'COLLECT_PAGE_CONTEXT' }, (ctx) => {
+        if (chrome.runtime.lastError || !ctx) return resolve(values);
+        resolve({ ...values, selection: ctx.selection || '' });
+      });
+    });
+  });
+}
+
+// Fill a prompt and put it in the input; with `run` it is sent straight away unless the
+// prompt still needs values from the user
+async function usePrompt(prompt, { values, run = false } = {}) {
+  const pageValues = values || await collectPromptValues();
+  const custom = customPromptVariables(prompt.body);
+  const finish = (customValues = {}) => {
+    promptVarsForm.hidden = true;
+    promptsPanel.hidden = true;
+    const text = fillPrompt(prompt.body, { ...customValues, ...pageValues }).trim();
+    inputEl.value = prompt.model ? `/model ${prompt.model} ${text}` : text;
+    inputEl.focus();
+    if (run) send();
+  };
+  if (!custom.length) return finish();
+  showPromptForm(prompt, custom, finish, run);
+}
+
+function showPromptForm(prompt, names, onSubmit, run) {
+  promptsPanel.hidden = false;
+  promptVarsForm.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'thread-title';
+  heading.textContent = prompt.title;
+  promptVarsForm.appendChild(heading);
+  const inputs = names.map((name) => {
+    const label = document.createElement('label');
+    label.className = 'small';
+    label.textContent = name;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = name;
+    label.appendChild(input);
+    promptVarsForm.appendChild(label);
+    return input;
+  });
+  const actions = document.createElement('div');
+  actions.className = 'extract-actions';
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'btn primary';
+  submit.textContent = run ? 'Send' : 'Insert';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'btn ghost';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => { promptVarsForm.hidden = true; });
+  actions.append(submit, cancel);
+  promptVarsForm.appendChild(actions);
+  promptVarsForm.onsubmit = (e) => {
+    e.preventDefault();
+    onSubmit(Object.fromEntries(inputs.map(input => [input.name, input.value])));
+  };
+  promptVarsForm.hidden = false;
+  inputs[0].focus();
+}
+
+promptsBtn.addEventListener('click', () => {
+  promptsPanel.hidden = !promptsPanel.hidden;
+  promptVarsForm.hidden = true;
+  if (!promptsPanel.hidden) {
+    renderPromptList();
+    promptSearch.focus();
+  }
+});
+promptSearch.addEventListener('input', renderPromptList);
+managePromptsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+// This panel's window; actions and CLOSE_PANEL for other windows' panels are ignored
+let panelWindowId = null;
+
+// Context menu prompts and keyboard shortcuts arrive through session storage (queuePanelAction
+// in background.js), which also covers the panel being opened by that gesture
+function takePendingAction() {
+  chrome.storage.session.get('pendingAction', async ({ pendingAction: action }) => {
+    if (!action || action.windowId !== panelWindowId) return;
+    chrome.storage.session.remove('pendingAction');
+    if (Date.now() - action.at > 60000) return;
+    // send() would refuse to start a second task, leaving the draft replaced by the action's text
+    if (isTaskRunning()) {
+      appendMsg('assistant', 'A task is still running. Stop it or wait for it to finish, then try again.');
+      return;
+    }
+    if (action.promptId) {
+      const prompt = (await loadPrompts()).find(p => p.id === action.promptId);
+      if (prompt) usePrompt(prompt, { values: action.values, run: true });
+    } else if (action.text != null) {
+      // Nothing to fill in (no selection) keeps whatever is already typed
+      if (action.text) inputEl.value = action.text;
+      inputEl.focus();
+      if (action.run) send();
+    }
+  });
+}
+
+if (hasChrome) {
+  chrome.windows.getCurrent(({ id }) => {
+    panelWindowId = id;
+    takePendingAction();
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'session' && changes.pendingAction?.newValue) takePendingAction();
+  });
+}
+
+// Files waiting to go out with the next message (attachments.js)
+const attachBtn = document.getElementById('attachBtn');
+const fileInput = document.getElementById('fileInput');
+const attachmentChips = document.getElementById('attachmentChips');
+const appEl = document.getElementById('app');
+let pendingAttachments = [];
+
+function renderPendingAttachments() {
+  renderAttachmentChips(attachmentChips, pendingAttachments, {
+    onRemove: (attachment) => {
+      pendingAttachments = pendingAttachments.filter(a => a !== attachment);
+      renderPendingAttachments();
+    }
+  });
+}
+
+function appendAttachmentChips(div, attachments) {
+  const chips = document.createElement('div');
+  chips.className = 'attachment-chips';
+  renderAttachmentChips(chips, attachments);
+  div.appendChild(chips);
+}
+
+async function addFiles(files) {
+  const { llmProvider } = await chrome.storage.sync.get('llmProvider');
+  const pdf = (llmProvider || 'gemini') === 'gemini';
+  for (const file of files) {
+    try {
+      const attachment = await readAttachment(file, { pdf });
+      const total = pendingAttachments.reduce((sum, a) => sum + attachmentChars(a), attachmentChars(attachment));
+      if (total > MAX_REQUEST_ATTACHMENT_CHARS) {
+        throw new Error('the files on one message are too large to send together; send some of them with a later message.');
+      }
+      pendingAttachments.push(attachment);
+    } catch (e) {
+      appendMsg('assistant', `Could not attach ${file.name}: ${e.message}`);
+    }
+  }
+  renderPendingAttachments();
+  inputEl.focus();
+}
+
+attachBtn.addEventListener('click', () => fileInput.click());
+fileInput.accept = ATTACHMENT_ACCEPT;
+fileInput.addEventListener('change', () => {
+  addFiles([...fileInput.files]);
+  fileInput.value = '';
+});
+
+// Drop files anywhere on the panel
+const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+appEl.addEventListener('dragover', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  appEl.classList.add('dropping');
+});
+appEl.addEventListener('dragleave', (e) => {
+  if (!appEl.contains(e.relatedTarget)) appEl.classList.remove('dropping');
+});
+appEl.addEventListener('drop', (e) => {
+  appEl.classList.remove('dropping');
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  addFiles([...e.dataTransfer.files]);
+});
+
 async function send() {
   const text = inputEl.value.trim();
-  if (!text) return;
+  if ((!text && !pendingAttachments.length) || isTaskRunning()) return;
   inputEl.value = '';
-  pendingUserText = text;
-  appendMsg('user', text);
+  slashMenu.hidden = true;
+  // Files go out with this message; commands that do not start a turn (/clear, /extract, /tabs
+  // without a task) drop them rather than leaving them for an unrelated later message
+  const attachments = pendingAttachments;
+  pendingAttachments = [];
+  renderPendingAttachments();
+  const slash = parseSlashCommand(text);
+  if (slash) return slash.command.run(slash.arg, attachments);
+  sendTurn(text, undefined, attachments);
+}
+
+// Ask for an answer to a user message. Regenerating and editing show the branch up to that
+// message while the new answer streams in.
+function askForAnswer(userNode, { rendered = false } = {}) {
+  if (!rendered) renderHistory(pathTo(userNode.id));
+  pendingParentId = userNode.id;
   setStreaming('assistant', true);
+  setBusy(true);
+  // Known before the tab lookup, so Stop can name this request from the start
+  activeRequest = { id: crypto.randomUUID() };
 
-  // Build conversation with last few turns
-  const baseHistory = chatHistory.slice(-8);
-  const messages = [...baseHistory, { role: 'user', content: text }];
+  // Send the whole branch; the background worker fits it into the model's context window
+  const messages = historyForModel(pathTo(userNode.id));
+  // Slash command presets: system prompt, tool subset, one-turn model, page text up front
+  const { system = SYSTEM_PROMPT, tools, model, includePage } = userNode.options || {};
+  const payloadFor = (msgs, withPage) => ({ messages: msgs, system, tools, model, includePage: withPage && includePage, conversationId });
 
   try {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       const tab = tabs[0];
+      if (!threadMeta.url && tab?.url) threadMeta.url = tab.url;
       if (!tab || tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://')) {
         // Proceed without page context on restricted pages
-        const payload = { messages, system: SYSTEM_PROMPT };
-        chrome.runtime.sendMessage({ type: 'ASK_GEMINI', payload });
+        startRequest(payloadFor(messages, false), tab?.id);
         return;
       }
       // Try to collect page context and include it
@@ -187,51 +1297,129 @@ async function send() {
         if (err) {
           appendMsg('assistant', "Heads up: I can't read this page due to browser restrictions. I'll answer without page context. Try on a regular website (https://...) for full functionality.");
         }
-        const withContext = ctx ? [{ role: 'user', content: `Page context (may be partial or outdated):\n${JSON.stringify(ctx)}` }] : [];
-        const payload = { messages: [...withContext, ...messages], system: SYSTEM_PROMPT };
-        chrome.runtime.sendMessage({ type: 'ASK_GEMINI', payload, tabId: tab.id });
+        const withContext = ctx ? [{ role: 'user', content: `Page context (may be partial or outdated):\n${JSON.stringify(ctx)}`, context: true }] : [];
+        startRequest(payloadFor([...withContext, ...messages], !err), tab.id);
       });
     });
   } catch (e) {
     appendMsg('assistant', "Unable to detect the active tab. I'll answer without page context.");
-    const baseHistory = chatHistory.slice(-8);
-    const messages = [...baseHistory, { role: 'user', content: text }];
-    const payload = { messages, system: SYSTEM_PROMPT };
-    chrome.runtime.sendMessage({ type: 'ASK_GEMINI', payload });
+    startRequest(payloadFor(messages, false));
+  }
+}
+
+// Tool calls of the running request, shown as they complete
+let liveTrace = [];
+
+function startRequest(payload, tabId) {
+  const requestId = activeRequest?.id || crypto.randomUUID();
+  liveTrace = [];
+  if (activeRequest?.stopped) {
+    handleRequestEvent({ type: 'STREAM_DONE', stopped: true });
+    return;
+  }
+  const port = chrome.runtime.connect({ name: 'ask-gemini' });
+  activeRequest = { id: requestId, port };
+  port.onMessage.addListener((msg) => {
+    if (msg.requestId === requestId) handleRequestEvent(msg);
+  });
+  // The worker went away mid-answer (e.g. it was restarted): end the turn with what arrived
+  port.onDisconnect.addListener(() => {
+    if (activeRequest?.id === requestId) handleRequestEvent({ type: 'STREAM_DONE', stopped: true });
+  });
+  port.postMessage({ type: 'ASK_GEMINI', requestId, payload, tabId });
+}
+
+// Events of the active request, from its port
+function handleRequestEvent(msg) {
+  if (msg.type === 'STREAM_UPDATE') {
+    if (msg.chunk?.text) {
+      updateStreamingText(msg.chunk.text);
+    }
+    if (msg.chunk?.toolCalls) {
+      // Function calls stream in before execution; surface them as the current status
+      const names = msg.chunk.toolCalls.map(c => c.name).join(', ');
+      updateStatusIndicator(`🧭 Planning: ${names}`);
+    }
+  } else if (msg.type === 'STREAM_DONE') {
+    activeRequest?.port?.disconnect();
+    activeRequest = null;
+    setBusy(false);
+    // A stopped task may have left an approval prompt open
+    if (msg.stopped && pendingApproval) {
+      toolApproval.hidden = true;
+      pendingApproval = null;
+    }
+    const div = document.getElementById('streaming');
+    if (div) {
+      // Re-render the final assistant message as Markdown with KaTeX support
+      div.classList.remove('streaming');
+      div.id = '';
+      renderMarkdown(div, streamingAccumulator);
+      if (msg.sources?.length) renderCitations(div, msg.sources, { onOpen: openCitedSource });
+      if (msg.trace?.length) renderTimeline(div, msg.trace);
+    }
+    // finalize turn into the message tree
+    if (pendingParentId && streamingAccumulator) {
+      const node = addNode(pendingParentId, {
+        role: 'assistant',
+        content: streamingAccumulator,
+        trace: msg.trace?.length ? msg.trace : undefined,
+        sources: msg.sources?.length ? msg.sources : undefined
+      });
+      // A regenerated answer gains siblings, so the whole branch is redrawn with its switcher
+      if (siblingsOf(node).length > 1) renderHistory();
+      else if (div) decorateMessage(div, node);
+    } else if (pendingParentId) {
+      // Nothing came back; show the selected branch again
+      renderHistory();
+    }
+    pendingParentId = null;
+    streamingAccumulator = '';
+    persistThread();
+  } else if (msg.type === 'TOOL_STATUS_UPDATE') {
+    updateStatusIndicator(msg.status);
+  } else if (msg.type === 'TOOL_STEP') {
+    liveTrace.push(msg.step);
+    const div = document.getElementById('streaming');
+    if (div) renderTimeline(div, liveTrace);
+  } else if (msg.type === 'STRUCTURED_RESULT') {
+    appendStructuredResult(msg.data, msg.source);
+  } else if (msg.type === 'REQUEST_TOOL_APPROVAL') {
+    pendingApproval = { id: msg.id, calls: msg.calls };
+    // Populate list
+    toolList.innerHTML = '';
+    for (const call of msg.calls) {
+      const li = document.createElement('li');
+      li.textContent = `${call.name}(${JSON.stringify(call.args)})`;
+      toolList.appendChild(li);
+    }
+    toolApproval.hidden = false;
   }
 }
 
+// Broadcasts that concern every panel
 if (hasChrome) {
   chrome.runtime.onMessage.addListener((msg, sender) => {
-    if (msg.type === 'STREAM_UPDATE') {
-      if (msg.chunk?.text) {
-        updateStreamingText(msg.chunk.text);
-      }
-      if (msg.chunk?.toolCalls) {
-        // For MVP, display tool calls; execution roundtrip from background->content will update
-        appendMsg('assistant', `Requested tool calls: ${JSON.stringify(msg.chunk.toolCalls)}`);
-      }
-    } else if (msg.type === 'STREAM_DONE') {
-      const div = document.getElementById('streaming');
-      if (div) {
-        // Re-render the final assistant message with KaTeX support
-        div.classList.remove('streaming');
-        div.id = '';
-        div.textContent = '';
-        renderMathOrText(div, streamingAccumulator);
-      }
-      // finalize turn into chat history
-      if (pendingUserText) chatHistory.push({ role: 'user', content: pendingUserText });
-      if (streamingAccumulator) chatHistory.push({ role: 'assistant', content: streamingAccumulator });
-      pendingUserText = null;
-      streamingAccumulator = '';
-    } else if (msg.type === 'PREFILL_SELECTION') {
+    if (msg.type === 'PREFILL_SELECTION') {
       const text = msg.text || '';
       if (text) inputEl.value = `Summarize selection:\n\n${text}`;
-    } else if (msg.type === 'TOOL_STATUS_UPDATE') {
-      updateStatusIndicator(msg.status);
+    } else if (msg.type === 'CLOSE_PANEL') {
+      // The toggle shortcut pressed while this window's panel is open
+      if (msg.windowId === panelWindowId) window.close();
+    } else if (msg.type === 'USAGE_UPDATE') {
+      if (msg.conversationId === conversationId) addUsage(msg.usage);
+      dailyUsage = msg.daily;
+      dailyBudget = msg.budget || 0;
+      renderUsage();
     }
   });
+
+  chrome.runtime.sendMessage({ type: 'GET_USAGE' }, (res) => {
+    if (chrome.runtime.lastError || !res?.ok) return;
+    dailyUsage = res.daily;
+    dailyBudget = res.budget || 0;
+    renderUsage();
+  });
 }
 
 // Tool approval modal elements
@@ -241,32 +1429,12 @@ const approveTools = document.getElementById('approveTools');
 const declineTools = document.getElementById('declineTools');
 let pendingApproval = null;
 
-if (hasChrome) {
-  chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-    if (msg?.type === 'REQUEST_TOOL_APPROVAL') {
-      pendingApproval = { id: msg.id, calls: msg.calls };
-      // Populate list
-      toolList.innerHTML = '';
-      for (const call of msg.calls) {
-        const li = document.createElement('li');
-        li.textContent = `${call.name}(${JSON.stringify(call.args)})`;
-        toolList.appendChild(li);
-      }
-      toolApproval.hidden = false;
-    }
-  });
-}
-
-approveTools?.addEventListener('click', () => {
+function answerApproval(approved) {
   if (!pendingApproval) return;
-  chrome.runtime.sendMessage({ type: 'TOOL_APPROVAL_RESPONSE', id: pendingApproval.id, approved: true });
+  activeRequest?.port?.postMessage({ type: 'TOOL_APPROVAL_RESPONSE', id: pendingApproval.id, approved });
   toolApproval.hidden = true;
   pendingApproval = null;
-});
+}
 
-declineTools?.addEventListener('click', () => {
-  if (!pendingApproval) return;
-  chrome.runtime.sendMessage({ type: 'TOOL_APPROVAL_RESPONSE', id: pendingApproval.id, approved: false });
-  toolApproval.hidden = true;
-  pendingApproval = null;
-});
\ No newline at end of file
+approveTools?.addEventListener('click', () => answerApproval(true));
+declineTools?.addEventListener('click', () => answerApproval(false));
@@ -0,0 +1,75 @@
+// Conversation threads persisted in IndexedDB (side panel)
+// A thread is { id, title, url, createdAt, updatedAt, messages, nodes, activeChild, usage }:
+// `nodes` is the full message tree, `messages` the selected branch at the time of saving.
+
+const THREADS_DB = 'apx-lens';
+const THREADS_STORE = 'threads';
+
+let threadsDbPromise = null;
+
+function openThreadsDb() {
+  if (!threadsDbPromise) {
+    threadsDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(THREADS_DB, 1);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(THREADS_STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return threadsDbPromise;
+}
+
+// Run one request against the threads store and resolve with its result
+async function threadsRequest(mode, makeRequest) {
+  const db = await openThreadsDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(THREADS_STORE, mode);
+    const req = makeRequest(tx.objectStore(THREADS_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function saveThread(thread) {
+  return threadsRequest('readwrite', store => store.put(thread));
+}
+
+function getThread(id) {
+  return threadsRequest('readonly', store => store.get(id));
+}
+
+function deleteThread(id) {
+  return threadsRequest('readwrite', store => store.delete(id));
+}
+
+// Most recently updated first
+async function listThreads() {
+  const threads = await threadsRequest('readonly', store => store.index('updatedAt').getAll());
+  return (threads || []).reverse();
+}
+
+async function renameThread(id, title) {
+  const thread = await getThread(id);
+  if (!thread) return null;
+  thread.title = title;
+  await saveThread(thread);
+  return thread;
+}
+
+// Case-insensitive match on the title, start URL and the text of any message on any branch
+function threadMatches(thread, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  if ((thread.title || '').toLowerCase().includes(q) || (thread.url || '').toLowerCase().includes(q)) return true;
+  const messages = thread.nodes ? Object.values(thread.nodes) : (thread.messages || []);
+  return messages.some(m => String(m.content || '').toLowerCase().includes(q));
+}
+
+function titleFromText(text) {
+  const line = String(text || '').replace(/\s+/g, ' ').trim();
+  return line.length > 60 ? `${line.slice(0, 57)}...` : (line || 'New conversation');
+}
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+// Offline stand-in for the Gemini REST API, for deterministic end-to-end runs of the extension.
+//
+// Usage:
+//   node tools/mock-gemini-server.mjs [scenario.json] [--port 8787] [--log requests.jsonl]
+//
+// With --port 0 the server picks a free port; the startup line names it (tools/replay-harness.mjs
+// reads it from there).
+// Then set "API Base URL" in the extension options to http://localhost:8787/v1beta (any API key
+// works unless the scenario sets one).
+//
+// Speaks the wire formats the extension uses:
+//   GET    /v1beta/models                                  model list
+//   POST   /v1beta/models/{model}:generateContent          one JSON response
+//   POST   /v1beta/models/{model}:streamGenerateContent    SSE chunks (?alt=sse)
+//   POST   /v1beta/models/{model}:countTokens              ~4 characters per token
+//   POST   /v1beta/cachedContents, PATCH/DELETE /v1beta/cachedContents/{id}
+//
+// A scenario replays scripted responses, one step per generate call, in order:
+//   {
+//     "apiKey": "test-key",                    // optional; other keys get API_KEY_INVALID
+//     "models": [{ "name": "models/gemini-2.5-flash", "inputTokenLimit": 1048576 }],
+//     "steps": [
+//       { "functionCalls": [{ "name": "getAllContent", "args": { "method": "clean" } }] },
+//       { "model": "gemini-2.5-flash-lite", "status": 500 },
+//       { "status": 429, "retryDelay": "2s" },
+//       { "functionCalls": [{ "name": "scrollTo", "args": { "y": 800 } }], "repeat": 3 },
+//       { "text": "Final answer.", "chunks": 4, "delayMs": 50 }
+//     ],
+//     "default": { "text": "Out of scripted steps." }
+//   }
+// A step with "model" only matches requests for that model; a request for another model gets a
+// 400 naming the mismatch so a broken fallback order shows up. "usage" overrides the computed
+// usageMetadata. Without a scenario every request gets a short echo of the last user message.
+//
+// Control endpoints for a harness driving the extension:
+//   GET  /__mock/requests   every request received so far ({ method, path, model, body })
+//   GET  /__mock/status     cursor position and remaining steps
+//   POST /__mock/scenario   load a new scenario (JSON body) and reset
+//   POST /__mock/reset      rewind the current scenario and clear the request log
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+function parseArgs(argv) {
+  const opts = { port: 8787, scenario: null, log: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--port') opts.port = parseInt(argv[++i], 10);
+    else if (a === '--log') opts.log = argv[++i];
+    else if (!a.startsWith('--')) opts.scenario = a;
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+
+const DEFAULT_MODELS = [
+  { name: 'models/gemini-2.5-flash-lite', displayName: 'Gemini 2.5 Flash-Lite', inputTokenLimit: 1048576, outputTokenLimit: 65536 },
+  { name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', inputTokenLimit: 1048576, outputTokenLimit: 65536 },
+  { name: 'models/gemini-1.5-flash', displayName: 'Gemini 1.5 Flash', inputTokenLimit: 1000000, outputTokenLimit: 8192 }
+];
+
+let scenario = {};
+let queue = [];
+let requests = [];
+let cacheSeq = 0;
+const caches = new Map();
+
+// Expand "repeat" so the cursor is a plain index
+function loadScenario(next) {
+  scenario = next || {};
+  queue = [];
+  for (const step of scenario.steps || []) {
+    const times = Math.max(1, step.repeat || 1);
+    for (let i = 0; i < times; i++) queue.push(step);
+  }
+  requests = [];
+  caches.clear();
+}
+
+if (opts.scenario) loadScenario(JSON.parse(fs.readFileSync(opts.scenario, 'utf8')));
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, json, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', ...headers });
+  res.end(JSON.stringify(json));
+}
+
+const STATUS_NAMES = { 400: 'INVALID_ARGUMENT', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND', 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE', 504: 'DEADLINE_EXCEEDED' };
+
+function sendError(res, status, message, details = [], headers = {}) {
+  sendJson(res, status, { error: { code: status, message, status: STATUS_NAMES[status] || 'UNKNOWN', details } }, headers);
+}
+
+function delay(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function countChars(value) {
+  if (typeof value === 'string') return value.length;
+  if (Array.isArray(value)) return value.reduce((n, v) => n + countChars(v), 0);
+  if (value && typeof value === 'object') return Object.values(value).reduce((n, v) => n + countChars(v), 0);
+  return 0;
+}
+
+function estimateTokens(value) {
+  return Math.ceil(countChars(value) / 4);
+}
+
+function lastUserText(body) {
+  const contents = body?.contents || [];
+  for (let i = contents.length - 1; i >= 0; i--) {
+    const text = (contents[i].parts || []).map(p => p.text).filter(Boolean).join('\n');
+    if (contents[i].role !== 'model' && text) return text;
+  }
+  return '';
+}
+
+function nextStep(model) {
+  const step = queue[0];
+  if (!step) return scenario.default || {};
+  if (step.model && step.model !== model) return { mismatch: step.model };
+  return queue.shift();
+}
+
+function splitText(text, chunks) {
+  if (!text) return [];
+  const n = Math.max(1, Math.min(chunks || 3, text.length));
+  const size = Math.ceil(text.length / n);
+  const out = [];
+  for (let i = 0; i < text.length; i += size) out.push(text.slice(i, i + size));
+  return out;
+}
+
+function usageFor(step, body, outputText) {
+  const prompt = estimateTokens(body?.contents) + estimateTokens(body?.systemInstruction);
+  const cached = body?.cachedContent ? caches.get(body.cachedContent)?.tokens || 0 : 0;
+  const output = estimateTokens(outputText) + estimateTokens(step.functionCalls);
+  return {
+    promptTokenCount: prompt + cached,
+    candidatesTokenCount: output,
+    totalTokenCount: prompt + cached + output,
+    ...(cached ? { cachedContentTokenCount: cached } : {}),
+    ...(step.usage || {})
+  };
+}
+
+function candidateParts(text, calls) {
+  const parts = [];
+  if (text) parts.push({ text });
+  for (const c of calls || []) parts.push({ functionCall: { name: c.name, args: c.args || {} } });
+  return parts;
+}
+
+// Scripted error steps; returns true when a response was sent
+function sendStepError(res, step) {
+  if (!step.status || step.status === 200) return false;
+  const details = [];
+  const headers = {};
+  if (step.retryDelay) {
+    details.push({ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: step.retryDelay });
+    headers['Retry-After'] = String(parseFloat(step.retryDelay) || 1);
+  }
+  const message = step.message || (step.status === 429 ? 'Resource has been exhausted (e.g. check quota).' : `Mock error ${step.status}`);
+  sendError(res, step.status, message, details, headers);
+  return true;
+}
+
+async function handleGenerate(req, res, model, body, stream) {
+  const step = nextStep(model);
+  if (step.mismatch) {
+    sendError(res, 400, `Mock scenario expected a request for ${step.mismatch}, got ${model}`);
+    return;
+  }
+  if (step.delayMs) await delay(step.delayMs);
+  if (sendStepError(res, step)) return;
+
+  const text = step.text ?? (step.functionCalls ? '' : `Mock reply to: ${lastUserText(body).slice(0, 200)}`);
+  const finishReason = step.finishReason || 'STOP';
+  const usageMetadata = usageFor(step, body, text);
+  const modelVersion = model;
+
+  if (!stream) {
+    sendJson(res, 200, {
+      candidates: [{ content: { role: 'model', parts: candidateParts(text, step.functionCalls) }, finishReason, index: 0 }],
+      usageMetadata,
+      modelVersion
+    });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Access-Control-Allow-Origin': '*' });
+  const chunks = splitText(text, step.chunks);
+  const write = (json) => res.write(`data: ${JSON.stringify(json)}\r\n\r\n`);
+  for (let i = 0; i < chunks.length; i++) {
+    write({ candidates: [{ content: { role: 'model', parts: [{ text: chunks[i] }] }, index: 0 }], modelVersion });
+    if (step.delayMs) await delay(step.delayMs);
+  }
+  // Function calls arrive whole in the last chunk, together with finishReason and usage
+  write({
+    candidates: [{ content: { role: 'model', parts: candidateParts('', step.functionCalls) }, finishReason, index: 0 }],
+    usageMetadata,
+    modelVersion
+  });
+  res.end();
+}
+
+function handleCachedContents(req, res, id, body) {
+  if (req.method === 'POST' && !id) {
+    const name = `cachedContents/mock-${++cacheSeq}`;
+    const ttl = parseFloat(body?.ttl) || 3600;
+    const entry = { name, model: body?.model, displayName: body?.displayName, tokens: estimateTokens(body?.contents), expireTime: new Date(Date.now() + ttl * 1000).toISOString() };
+    caches.set(name, entry);
+    sendJson(res, 200, { name, model: entry.model, displayName: entry.displayName, expireTime: entry.expireTime, usageMetadata: { totalTokenCount: entry.tokens } });
+    return;
+  }
+  const name = `cachedContents/${id}`;
+  const entry = caches.get(name);
+  if (!entry) {
+    sendError(res, 404, `CachedContent not found: ${name}`);
+    return;
+  }
+  if (req.method === 'DELETE') {
+    caches.delete(name);
+    sendJson(res, 200, {});
+  } else if (req.method === 'PATCH') {
+    const ttl = parseFloat(body?.ttl) || 3600;
+    entry.expireTime = new Date(Date.now() + ttl * 1000).toISOString();
+    sendJson(res, 200, { name, model: entry.model, expireTime: entry.expireTime });
+  } else {
+    sendJson(res, 200, { name, model: entry.model, expireTime: entry.expireTime });
+  }
+}
+
+function handleControl(req, res, path, raw) {
+  if (path === '/__mock/requests') {
+    sendJson(res, 200, { requests });
+  } else if (path === '/__mock/status') {
+    sendJson(res, 200, { received: requests.length, remaining: queue.length, steps: queue });
+  } else if (path === '/__mock/scenario' && req.method === 'POST') {
+    loadScenario(JSON.parse(raw || '{}'));
+    sendJson(res, 200, { ok: true, steps: queue.length });
+  } else if (path === '/__mock/reset' && req.method === 'POST') {
+    loadScenario(scenario);
+    sendJson(res, 200, { ok: true, steps: queue.length });
+  } else {
+    sendError(res, 404, `Unknown control endpoint ${path}`);
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const path = url.pathname.replace(/^\/v1beta/, '');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE', 'Access-Control-Allow-Headers': 'Content-Type' });
+    res.end();
+    return;
+  }
+  try {
+    const raw = await readBody(req);
+    if (url.pathname.startsWith('/__mock/')) {
+      handleControl(req, res, url.pathname, raw);
+      return;
+    }
+    let body = null;
+    try { body = raw ? JSON.parse(raw) : null; } catch {
+      sendError(res, 400, 'Invalid JSON payload received.');
+      return;
+    }
+
+    const match = path.match(/^\/models\/([^:/]+):(generateContent|streamGenerateContent|countTokens)$/);
+    const model = match ? decodeURIComponent(match[1]) : null;
+    const entry = { time: new Date().toISOString(), method: req.method, path, model, body };
+    requests.push(entry);
+    if (opts.log) fs.appendFileSync(opts.log, JSON.stringify(entry) + '\n');
+
+    const key = url.searchParams.get('key');
+    if (scenario.apiKey && key !== scenario.apiKey) {
+      sendError(res, 400, 'API key not valid. Please pass a valid API key.', [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'API_KEY_INVALID', domain: 'googleapis.com' }]);
+      return;
+    }
+
+    if (req.method === 'GET' && path === '/models') {
+      const models = (scenario.models || DEFAULT_MODELS).map(m => ({ supportedGenerationMethods: ['generateContent', 'countTokens', 'createCachedContent'], ...m }));
+      sendJson(res, 200, { models });
+    } else if (match && match[2] === 'countTokens') {
+      const request = body?.generateContentRequest || body;
+      sendJson(res, 200, { totalTokens: estimateTokens(request?.contents) + estimateTokens(request?.systemInstruction) + estimateTokens(request?.tools) });
+    } else if (match && req.method === 'POST') {
+      await handleGenerate(req, res, model, body, match[2] === 'streamGenerateContent');
+    } else if (path.startsWith('/cachedContents')) {
+      handleCachedContents(req, res, path.split('/')[2], body);
+    } else {
+      sendError(res, 404, `Mock has no route for ${req.method} ${url.pathname}`);
+    }
+  } catch (e) {
+    if (!res.headersSent) sendError(res, 500, String(e?.message || e));
+    else res.end();
+  }
+});
+
+server.listen(opts.port, () => {
+  console.log(`Mock Gemini API on http://localhost:${server.address().port}/v1beta (${queue.length} scripted steps)`);
+});
@@ -0,0 +1,192 @@
+// Replay harness: runs background.js under Node against tools/mock-gemini-server.mjs, so the tool
+// loop, model fallback, repeat detection and history compression can be tested without a browser
+// or network access (see tools/tool-loop.test.mjs).
+//
+// background.js is loaded as a classic script into its own vm context with a small in-memory
+// stand-in for the chrome.* APIs it uses; its importScripts() calls run in the same context. Its top-level functions and constants are reachable
+// through `bg.get(name)`. Timers are shortened so retry backoff does not slow the tests down.
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_TIMER_MS = 5;
+
+// Start the mock on a free port; resolves with { baseUrl, control, stop }
+export function startMockServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'tools/mock-gemini-server.mjs'), '--port', '0'], { stdio: ['ignore', 'pipe', 'inherit'] });
+    let out = '';
+    child.once('error', reject);
+    child.once('exit', (code) => reject(new Error(`Mock server exited with code ${code}`)));
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = /http:\/\/localhost:(\d+)\/v1beta/.exec(out);
+      if (!m) return;
+      child.stdout.removeAllListeners('data');
+      child.removeAllListeners('exit');
+      const origin = `http://localhost:${m[1]}`;
+      resolve({
+        baseUrl: `${origin}/v1beta`,
+        // POST a scenario, or GET requests/status
+        control: async (name, body) => {
+          const resp = await fetch(`${origin}/__mock/${name}`, body === undefined ? {} : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          return resp.json();
+        },
+        stop: () => new Promise((done) => {
+          child.once('exit', done);
+          child.kill();
+        })
+      });
+    });
+  });
+}
+
+function makeEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn)
+  };
+}
+
+// Chrome APIs take either a trailing callback or return a promise
+function callbackOrPromise(args, value) {
+  const cb = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  const promise = Promise.resolve(value);
+  if (!cb) return promise;
+  promise.then(v => cb(v));
+  return undefined;
+}
+
+function makeStorageArea(items, onChanged, areaName) {
+  return {
+    get(keys, ...rest) {
+      let picked;
+      if (keys == null) picked = { ...items };
+      else if (typeof keys === 'string') picked = keys in items ? { [keys]: items[keys] } : {};
+      else if (Array.isArray(keys)) picked = Object.fromEntries(keys.filter(k => k in items).map(k => [k, items[k]]));
+      else picked = Object.fromEntries(Object.entries(keys).map(([k, d]) => [k, k in items ? items[k] : d]));
+      return callbackOrPromise([keys, ...rest], structuredClone(picked));
+    },
+    set(values, ...rest) {
+      const changes = {};
+      for (const [k, v] of Object.entries(values)) {
+        changes[k] = { oldValue: items[k], newValue: v };
+        items[k] = structuredClone(v);
+      }
+      for (const fn of onChanged.listeners) fn(changes, areaName);
+      return callbackOrPromise([values, ...rest]);
+    },
+    remove(keys, ...rest) {
+      for (const k of [].concat(keys)) delete items[k];
+      return callbackOrPromise([keys, ...rest]);
+    },
+    QUOTA_BYTES_PER_ITEM: 8192
+  };
+}
+
+// Anything not modelled explicitly: on* members are events, everything else resolves to undefined
+function looseNamespace(members = {}) {
+  return new Proxy(members, {
+    get(target, prop) {
+      if (!(prop in target)) target[prop] = String(prop).startsWith('on') ? makeEvent() : (...args) => callbackOrPromise(args);
+      return target[prop];
+    }
+  });
+}
+
+// `tab` is the page the agent works in; `onTool(name, args)` answers EXECUTE_TOOL messages
+export function createChromeStub({ storage = {}, tab = { id: 1, windowId: 1, url: 'https://example.com/', title: 'Example' }, onTool = () => ({ ok: true }) } = {}) {
+  const onChanged = makeEvent();
+  const toolCalls = [];
+  const runtimeMessages = [];
+  const chrome = {
+    runtime: looseNamespace({
+      lastError: undefined,
+      getURL: (p) => `chrome-extension://test/${p}`,
+      sendMessage: (msg, ...rest) => {
+        runtimeMessages.push(msg);
+        return callbackOrPromise([msg, ...rest]);
+      }
+    }),
+    storage: looseNamespace({
+      sync: makeStorageArea({ ...storage.sync }, onChanged, 'sync'),
+      local: makeStorageArea({ ...storage.local }, onChanged, 'local'),
+      session: makeStorageArea({ ...storage.session }, onChanged, 'session'),
+      onChanged
+    }),
+    tabs: looseNamespace({
+      get: (id, ...rest) => id === tab.id ? callbackOrPromise([id, ...rest], { ...tab }) : Promise.reject(new Error(`No tab with id: ${id}.`)),
+      query: (q, ...rest) => callbackOrPromise([q, ...rest], [{ ...tab, active: true }]),
+      sendMessage: (tabId, msg, ...rest) => {
+        let response;
+        if (msg.type === 'PING') response = { ok: true };
+        else if (msg.type === 'EXECUTE_TOOL') {
+          toolCalls.push({ name: msg.name, args: msg.args });
+          response = { result: onTool(msg.name, msg.args) };
+        }
+        return callbackOrPromise([tabId, msg, ...rest], response);
+      }
+    }),
+    scripting: looseNamespace({ executeScript: (...args) => callbackOrPromise(args, [{ result: null }]) }),
+    contextMenus: looseNamespace(),
+    commands: looseNamespace(),
+    action: looseNamespace(),
+    sidePanel: looseNamespace()
+  };
+  return { chrome, toolCalls, runtimeMessages };
+}
+
+function fastSetTimeout(fn, ms, ...args) {
+  return setTimeout(fn, Math.min(Number(ms) || 0, MAX_TIMER_MS), ...args);
+}
+
+// Load background.js with the given settings; resolves once its startup storage reads are done
+export async function loadBackground({ apiBase, settings = {}, local = {}, onTool, tab } = {}) {
+  const stub = createChromeStub({
+    storage: { sync: { geminiApiKey: 'test-key', geminiApiBase: apiBase, autoApproveTools: true, ...settings }, local },
+    onTool,
+    tab
+  });
+  const context = vm.createContext({
+    chrome: stub.chrome,
+    console: { log() {}, info() {}, debug() {}, warn() {}, error() {} },
+    fetch,
+    URL,
+    Blob,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    DOMException,
+    atob,
+    btoa,
+    crypto,
+    structuredClone,
+    setTimeout: fastSetTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask
+  });
+  context.importScripts = (...files) => {
+    for (const file of files) vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return {
+    ...stub,
+    get: (name) => vm.runInContext(name, context),
+    // Values from the vm context have its own prototypes; compare plain copies
+    plain: (value) => JSON.parse(JSON.stringify(value))
+  };
+}
@@ -0,0 +1,169 @@
+// Offline replays of the agent tool loop against the mock Gemini server. Run with `npm test`.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockServer, loadBackground } from './replay-harness.mjs';
+
+const SYSTEM = 'You are a test agent.';
+
+let mock;
+before(async () => { mock = await startMockServer(); });
+after(() => mock.stop());
+
+async function scenario(json) {
+  await mock.control('scenario', json);
+}
+
+// Models of the generate calls the mock received, in order
+async function generateRequests() {
+  const { requests } = await mock.control('requests');
+  return requests.filter(r => /:(stream)?[gG]enerateContent$/.test(r.path));
+}
+
+function run(bg, text, opts = {}) {
+  const events = [];
+  const steps = [];
+  const result = bg.get('generateWithToolsLoop')(
+    { messages: [{ role: 'user', content: text }], system: SYSTEM },
+    1,
+    { steps, emit: (e) => events.push(e), ...opts }
+  );
+  return result.then(r => ({ result: bg.plain(r), events: bg.plain(events), steps: bg.plain(steps) }));
+}
+
+function streamedText(events) {
+  return events.filter(e => e.type === 'STREAM_UPDATE' && e.chunk?.text).map(e => e.chunk.text).join('');
+}
+
+test('runs function calls in order and streams the final answer', async () => {
+  await scenario({
+    steps: [
+      { functionCalls: [{ name: 'getAllContent', args: { method: 'clean' } }] },
+      { functionCalls: [{ name: 'scrollTo', args: { y: 400 } }] },
+      { text: 'The page is about testing.', chunks: 3 }
+    ]
+  });
+  const bg = await loadBackground({
+    apiBase: mock.baseUrl,
+    onTool: (name) => (name === 'getAllContent' ? { content: 'An example page about testing.' } : { ok: true })
+  });
+  const { result, events, steps } = await run(bg, 'What is this page about?');
+
+  assert.equal(result.text, 'The page is about testing.');
+  assert.equal(streamedText(events), 'The page is about testing.');
+  assert.deepEqual(bg.plain(bg.toolCalls).map(c => c.name), ['getAllContent', 'scrollTo']);
+  assert.deepEqual(steps.map(s => [s.name, s.ok]), [['getAllContent', true], ['scrollTo', true]]);
+
+  const requests = await generateRequests();
+  assert.equal(requests.length, 3);
+  // Each round sends the previous call and its result back to the model
+  const responses = requests[2].body.contents.flatMap(c => c.parts).filter(p => p.functionResponse);
+  assert.deepEqual(responses.map(p => p.functionResponse.name), ['getAllContent', 'scrollTo']);
+  assert.equal(responses[0].functionResponse.response.sourceIndex, 1);
+});
+
+test('falls back through getModelFallbacks() on 500 responses', async () => {
+  // fetchWithRetry makes four attempts per model before the loop moves on
+  await scenario({
+    steps: [
+      { model: 'gemini-2.5-flash-lite', status: 500, repeat: 4 },
+      { model: 'gemini-2.5-flash', status: 500, repeat: 4 },
+      { model: 'gemini-1.5-flash', text: 'Answer from the last fallback.' }
+    ]
+  });
+  const bg = await loadBackground({ apiBase: mock.baseUrl, settings: { geminiModel: 'gemini-2.5-flash-lite' } });
+  const { result, events } = await run(bg, 'Hello');
+
+  assert.equal(result.text, 'Answer from the last fallback.');
+  const models = (await generateRequests()).map(r => r.model).filter((m, i, all) => m !== all[i - 1]);
+  assert.deepEqual(models, bg.plain(bg.get('getModelFallbacks')()));
+  assert.match(streamedText(events), /gemini-2\.5-flash-lite returned 500 INTERNAL/);
+});
+
+test('falls back to the next model when one is out of quota (429)', async () => {
+  // The scheduler retries a 429 three times after its retry delay, then the loop moves on
+  await scenario({
+    steps: [
+      { model: 'gemini-2.5-flash-lite', status: 429, retryDelay: '0.01s', repeat: 4 },
+      { model: 'gemini-2.5-flash', text: 'Answer after the quota fallback.' }
+    ]
+  });
+  const bg = await loadBackground({ apiBase: mock.baseUrl, settings: { geminiModel: 'gemini-2.5-flash-lite' } });
+  const { result, events } = await run(bg, 'Hello');
+
+  assert.equal(result.text, 'Answer after the quota fallback.');
+  const models = (await generateRequests()).map(r => r.model);
+  assert.deepEqual(models, [...Array(4).fill('gemini-2.5-flash-lite'), 'gemini-2.5-flash']);
+  assert.match(streamedText(events), /out of quota; trying a fallback model/);
+});
+
+test('forces a final answer after the same tool plan repeats', async () => {
+  await scenario({
+    steps: [
+      { functionCalls: [{ name: 'scrollTo', args: { y: 800 } }], repeat: 3 },
+      { text: 'Forced final answer.' }
+    ]
+  });
+  const bg = await loadBackground({ apiBase: mock.baseUrl });
+  const { result, events } = await run(bg, 'Scroll down');
+
+  assert.equal(result.text, 'Forced final answer.');
+  // The third identical plan is not executed
+  assert.equal(bg.toolCalls.length, 2);
+  assert.match(streamedText(events), /Detected repeated tool plan/);
+  const requests = await generateRequests();
+  assert.equal(requests.length, 4);
+  const last = requests[3].body;
+  assert.equal(last.tools, undefined);
+  assert.match(last.contents.at(-1).parts[0].text, /^Stop calling tools/);
+});
+
+test('summarizes older turns when the history exceeds the context budget', async () => {
+  await scenario({ default: { text: 'Summary of the earlier turns.' } });
+  const bg = await loadBackground({ apiBase: mock.baseUrl, settings: { contextTokenLimit: 3000 } });
+  const messages = Array.from({ length: 12 }, (_, i) => ({
+    role: i % 2 ? 'assistant' : 'user',
+    content: `Turn ${i}: ${'lorem ipsum '.repeat(170)}`
+  }));
+  const { contents, systemInstruction } = bg.get('buildContentsFromMessages')(messages, SYSTEM);
+  const model = 'gemini-2.5-flash-lite';
+  const options = { model, systemInstruction, maxOutputTokens: 256 };
+  const budget = await bg.get('getContextBudget')(model, options);
+  const estimate = (list) => bg.get('estimateTokens')(model, { contents: list });
+  assert.ok(estimate(contents) > budget);
+
+  const fitted = bg.plain(await bg.get('fitContextBudget')(contents, options));
+
+  assert.ok(estimate(fitted) <= budget);
+  assert.ok(fitted.length < contents.length);
+  assert.match(fitted[0].parts[0].text, /^Conversation summary \(compressed\):\nSummary of the earlier turns\./);
+  assert.deepEqual(fitted.at(-1), bg.plain(contents.at(-1)));
+  const requests = await generateRequests();
+  assert.ok(requests.length >= 1);
+  assert.match(requests[0].body.systemInstruction.parts[0].text, /summarizer/);
+});
+
+test('shrinks tool results before summarizing conversation turns', async () => {
+  await scenario({ default: { text: 'Summary that should not be needed.' } });
+  const bg = await loadBackground({ apiBase: mock.baseUrl, settings: { contextTokenLimit: 3000 } });
+  const contents = [
+    { role: 'user', parts: [{ text: 'Read the page' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'getAllContent', args: {} } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'getAllContent', response: { content: 'x'.repeat(30000) } } }] },
+    { role: 'model', parts: [{ text: 'I read it.' }] },
+    { role: 'user', parts: [{ text: 'Summarize it' }] }
+  ];
+  const fitted = bg.plain(await bg.get('fitContextBudget')(contents, { model: 'gemini-2.5-flash-lite', maxOutputTokens: 256 }));
+
+  assert.equal(fitted.length, contents.length);
+  assert.ok(fitted[2].parts[0].functionResponse.response.content.length <= 600);
+  assert.deepEqual(fitted[4], contents[4]);
+  assert.equal((await generateRequests()).length, 0);
+});
+
+test('reads a final SSE event that ends without a newline', async () => {
+  const bg = await loadBackground({ apiBase: mock.baseUrl });
+  const resp = new Response('data: {"n":1}\r\n\r\ndata: {"n":2,"usageMetadata":{"totalTokenCount":3}}');
+  const events = [];
+  for await (const json of bg.get('readSseJson')(resp)) events.push(bg.plain(json));
+  assert.deepEqual(events, [{ n: 1 }, { n: 2, usageMetadata: { totalTokenCount: 3 } }]);
+});